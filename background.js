@@ -1,158 +1,285 @@
 // Background service worker for Smart History extension
 
+importScripts(
+  'lib/settings.js',
+  'lib/history-store.js',
+  'lib/search-index.js',
+  'lib/summary-queue.js',
+  'lib/engagement-tracker.js',
+  'lib/site-rules.js',
+  'lib/navigation.js',
+  'lib/content-fingerprint.js',
+  'lib/redactor.js',
+  'lib/history-exporter.js',
+  'lib/history-importer.js',
+  'lib/topic-classifier.js',
+  'lib/day-aggregator.js',
+  'lib/digest-builder.js',
+  'lib/history-chat.js',
+  'lib/session-builder.js',
+  'lib/stream-port.js',
+  'lib/extractive-summarizer.js',
+  'lib/content-chunker.js',
+  'lib/summarizer-providers.js',
+  'lib/summarizer-service.js',
+  'lib/site-extractors.js',
+  'lib/extractors/youtube.js',
+  'lib/extractors/github.js',
+  'lib/extractors/wikipedia.js',
+  'lib/extractors/reddit.js',
+  'lib/extractors/arxiv.js',
+  'lib/extractors/stackoverflow.js'
+);
+
 class WebJourneyManager {
   constructor() {
-    this.currentSession = null;
-    this.isProcessing = false;
-    this.init();
+    this.tabVisits = new Map(); // tabId -> { visitId, url, startedAt } for the page each tab is showing
+    this.pendingVisitStarts = new Map(); // tabId -> { url, promise } while a visit is being recorded
+    this.pendingTransitions = new Map(); // tabId -> { url, transition, qualifiers } for the navigation the tab just committed
+    this.sessionTitleRuns = new Map(); // date -> promise while that day's sessions are being named
+    this.overviewRefreshes = new Map(); // date -> { promise, controller, text, listeners } while that day's overview is being rebuilt
+    this.historyStore = new HistoryStore();
+    this.searchIndex = new SearchIndex(this.historyStore);
+    this.settings = new SettingsStore('settings', { secrets: true });
+    this.summarizer = new SummarizerService(this.settings);
+    this.summaryQueue = new SummaryJobQueue(this.historyStore, this.settings, {
+      process: (job) => this.processSummaryJob(job),
+      onRetry: (job, error) => this.setSummaryStatus(job.visitId, {
+        summaryStatus: 'pending',
+        summaryError: String(error?.message || error)
+      }),
+      // The fallback summary stays in place when the AI gives up
+      onFailure: (job, error) => this.setSummaryStatus(job.visitId, {
+        summaryStatus: 'failed',
+        summaryProgress: null,
+        summaryError: String(error?.message || error)
+      })
+    });
+    // Popup requests that report progress or stream text while they run
+    this.streamServer = new StreamServer({
+      loadDay: (params, stream) => this.loadDayForPopup(params, stream),
+      streamOverview: (params, stream) => this.streamDayOverview(params, stream),
+      streamPageSummary: (params, stream) => this.streamPageSummary(params, stream),
+      sessionTitles: (params, stream) => this.streamSessionTitles(params, stream),
+      askHistory: (params, stream) => this.askHistory(params, stream),
+      digest: (params, stream) => this.streamDigest(params, stream)
+    });
+    this.engagementTracker = new EngagementTracker({
+      getVisitId: (tabId) => this.tabVisits.get(tabId)?.visitId,
+      addActiveTime: (visitId, ms) => this.historyStore.updateVisit(visitId, (visit) => ({
+        activeMs: (visit.activeMs || 0) + ms
+      }))
+    });
+    // Listeners have to be attached before the first await, or the event that woke the worker is
+    // dropped. They wait for init before touching any state.
+    this.ready = this.init().catch(error => console.error('Failed to initialize:', error));
+    this.setupListeners();
   }
 
   async init() {
     console.log('Smart History extension initialized');
     
-    // Check if Prompt API is available
-    await this.checkAIAvailability();
+    // Restore which visit each open tab belongs to (lost when the worker is suspended)
+    this.tabVisitsLoaded = this.loadTabVisits();
     
-    // Set up listeners
-    this.setupListeners();
+    // Settings drive the reset schedule, retention and prompt size
+    await this.settings.load();
+    this.settings.onChange((settings, changedKeys) => this.handleSettingsChange(changedKeys));
+    
+    await this.tabVisitsLoaded;
+    
+    // Move data from the old chrome.storage blob into IndexedDB (no-op once done). This comes
+    // before the rollover, which would otherwise write a rolloverState the migration then replaces.
+    await this.historyStore.migrateFromChromeStorage();
+    
+    // Prune old days and arm the alarm for the next day boundary
+    await this.setupDailyReset();
+    
+    // Make sure stored pages are searchable (builds the index on first run)
+    await this.searchIndex.ensureBuilt(() => this.historyStore.getAllVisits());
+    
+    // Pick up summaries that were queued or in progress when the worker was suspended
+    await this.summaryQueue.resume();
     
-    // Load existing data
-    await this.loadStoredData();
+    // Only logged; providers are checked when a task first needs them, so this doesn't hold up startup
+    this.checkAIAvailability();
   }
 
+  // Logs which summarizer providers can be used; the summary queue checks again before each job
   async checkAIAvailability() {
-    try {
-      if (typeof LanguageModel !== 'undefined') {
-        const availability = await LanguageModel.availability();
-        console.log('AI Availability:', availability);
-        
-        if (availability === 'available' || availability === 'downloadable') {
-          await this.createAISession();
-        }
-      }
-    } catch (error) {
-      console.warn('Prompt API not available:', error);
-    }
-  }
-
-  async createAISession() {
-    try {
-      this.currentSession = await LanguageModel.create({
-        initialPrompts: [
-          { 
-            role: 'system', 
-            content: 'You are a helpful web content summarizer. Create concise 2-3 sentence summaries that capture the main points of web pages. Focus on key information and insights.' 
-          }
-        ]
-      });
-      console.log('AI session created successfully');
-    } catch (error) {
-      console.error('Failed to create AI session:', error);
-    }
+    const candidates = await this.summarizer.getCandidates('summarize');
+    console.log('AI summarizer providers available:', candidates.length > 0 ? candidates.join(', ') : 'none');
   }
 
+  // Called synchronously from the constructor
   setupListeners() {
     // Listen for messages from content scripts
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      this.handleMessage(request, sender, sendResponse);
+      this.ready.then(() => this.handleMessage(request, sender, sendResponse));
       return true; // Keep message channel open for async response
     });
+    
+    // Streams to the popup
+    this.streamServer.listen(this.ready);
+    
+    // Start measuring foreground time per visit once tabs can be mapped to visits
+    this.engagementTracker.init(this.tabVisitsLoaded);
 
     // Track tab updates to detect page visits
     chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-      if (changeInfo.status === 'complete' && tab.url) {
-        this.handlePageVisit(tabId, tab);
-      }
+      this.ready.then(() => {
+        if (changeInfo.status === 'complete' && tab.url) {
+          this.handlePageVisit(tabId, tab);
+        } else if (changeInfo.url && changeInfo.status !== 'loading') {
+          // A URL change without a page load is a single-page app changing route
+          this.handleRouteChange(tab);
+        }
+      });
     });
 
-    // Check for daily reset at 6 AM
-    this.setupDailyReset();
-  }
+    // How the tab got to its page (a link, a typed address, a bookmark...), picked up when the
+    // visit is recorded
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      if (details.frameId !== 0) return;
+      this.pendingTransitions.set(details.tabId, {
+        url: details.url,
+        transition: details.transitionType,
+        qualifiers: details.transitionQualifiers || []
+      });
+    });
 
-  setupDailyReset() {
-    // Check if we need to reset data (runs every time the extension starts)
-    this.checkForDailyReset();
-    
-    // Set up alarm for daily reset at 6 AM
-    chrome.alarms.create('dailyReset', {
-      when: this.getNext6AM(),
-      periodInMinutes: 24 * 60 // Once per day
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.pendingTransitions.delete(tabId);
+      this.ready.then(() => {
+        if (this.tabVisits.delete(tabId)) {
+          this.saveTabVisits();
+        }
+      });
     });
 
-    // Listen for the alarm
-    chrome.alarms.onAlarm.addListener((alarm) => {
+    // Daily reset at the configured hour, and retries from the summary queue
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      await this.ready;
       if (alarm.name === 'dailyReset') {
-        this.performDailyReset();
+        await this.performDailyRollover();
+        this.scheduleDailyReset();
+      } else if (alarm.name === SUMMARY_QUEUE_ALARM) {
+        await this.summaryQueue.pump();
       }
     });
   }
 
-  getNext6AM() {
-    const now = new Date();
-    const next6AM = new Date();
+  async setupDailyReset() {
+    // Catch up on a day boundary passed while this service worker wasn't running.
+    // Rollover is idempotent, so running it on every start is safe.
+    await this.performDailyRollover();
+    
+    // Set up alarm for the next day boundary
+    this.scheduleDailyReset();
+  }
+
+  scheduleDailyReset() {
+    // One-shot alarm re-armed after each rollover, so DST changes don't make it drift
+    chrome.alarms.create('dailyReset', {
+      when: this.getNextResetTime()
+    });
+  }
+
+  async handleSettingsChange(changedKeys) {
+    if (changedKeys.includes('resetHour')) {
+      this.scheduleDailyReset();
+      console.log(`Daily reset rescheduled for ${this.settings.get('resetHour')}:00`);
+      
+      // The current day may have moved, so archive anything that is no longer current
+      await this.performDailyRollover();
+    }
     
-    // Set to 6 AM today or tomorrow
-    next6AM.setHours(6, 0, 0, 0);
+    if (changedKeys.includes('archiveRetentionDays')) {
+      await this.pruneArchive();
+    }
+    
+    // Overviews and digests group pages by topic, so they are rebuilt with the new topics
+    if (changedKeys.includes('taxonomy')) {
+      await this.clearSummaryCaches();
+    }
     
-    // If it's already past 6 AM today, set for tomorrow
-    if (now >= next6AM) {
-      next6AM.setDate(next6AM.getDate() + 1);
+    // A different provider may be able to summarize pages that are waiting in the queue
+    if (SUMMARIZER_SETTINGS.some(key => changedKeys.includes(key))) {
+      this.summarizer.reset();
+      await this.checkAIAvailability();
     }
     
-    return next6AM.getTime();
+    if (changedKeys.includes('summaryConcurrency')) {
+      await this.summaryQueue.pump();
+    }
+  }
+
+  getCurrentDayKey() {
+    return this.settings.getDayKey();
   }
 
-  checkForDailyReset() {
+  getNextResetTime() {
     const now = new Date();
-    const currentHour = now.getHours();
+    const nextReset = new Date();
     
-    // If it's after 6 AM and we haven't reset today, perform reset
-    if (currentHour >= 6) {
-      this.performDailyReset();
+    // Set to the reset hour today or tomorrow
+    nextReset.setHours(this.settings.get('resetHour'), 0, 0, 0);
+    
+    // If the reset hour has already passed today, set for tomorrow
+    if (now >= nextReset) {
+      nextReset.setDate(nextReset.getDate() + 1);
     }
+    
+    return nextReset.getTime();
   }
 
-  async performDailyReset() {
-    console.log('Performing daily reset at 6 AM...');
+  async getRolloverState() {
+    const state = await this.historyStore.getMeta('rolloverState');
+    return state || { lastRolloverDay: null, lastRolloverAt: null };
+  }
+
+  // Every day other than the current one counts as archived. Rollover only applies the
+  // retention setting and records the marker, so it never touches the current day's pages
+  // and running it again (e.g. after a service-worker restart) changes nothing.
+  async performDailyRollover() {
+    const currentDay = this.getCurrentDayKey();
+    const state = await this.getRolloverState();
+    
+    if (state.lastRolloverDay === currentDay) {
+      return; // Already rolled over for this day
+    }
     
-    // Archive yesterday's data before clearing
-    await this.archiveYesterdayData();
+    // Finished days stay in the store as they are; only the oldest beyond retention go
+    await this.pruneArchive();
     
-    // Clear current day's data
-    await this.clearStoredData();
+    await this.historyStore.setMeta('rolloverState', {
+      lastRolloverDay: currentDay,
+      lastRolloverAt: new Date().toISOString()
+    });
     
-    console.log('Daily reset completed. Ready for new day!');
+    console.log(`Rollover complete. Current day is ${currentDay}`);
   }
 
-  async archiveYesterdayData() {
-    const data = await this.getStoredData();
-    const today = new Date().toDateString();
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toDateString();
+  // Drops the oldest archived days beyond the retention setting; returns true if anything was removed
+  async pruneArchive() {
+    const retentionDays = this.settings.get('archiveRetentionDays');
+    if (retentionDays === 0) return false;
     
-    // If we have data from yesterday, archive it
-    if (data.visitedPages?.[yesterdayStr]) {
-      if (!data.archivedDays) {
-        data.archivedDays = {};
-      }
-      
-      // Move yesterday's data to archive
-      data.archivedDays[yesterdayStr] = data.visitedPages[yesterdayStr];
-      delete data.visitedPages[yesterdayStr];
-      
-      // Keep only last 7 days of archives
-      const archiveDates = Object.keys(data.archivedDays).sort();
-      if (archiveDates.length > 7) {
-        const datesToRemove = archiveDates.slice(0, archiveDates.length - 7);
-        datesToRemove.forEach(date => {
-          delete data.archivedDays[date];
-        });
-      }
-      
-      await chrome.storage.local.set({ webJourneyData: data });
-      console.log(`Archived data from ${yesterdayStr}`);
+    const currentDay = this.getCurrentDayKey();
+    const archiveDates = (await this.historyStore.getDates()).filter(date => date !== currentDay);
+    if (archiveDates.length <= retentionDays) return false;
+    
+    // getDates() is most recent first
+    const datesToRemove = archiveDates.slice(retentionDays);
+    for (const date of datesToRemove) {
+      await this.historyStore.deleteDate(date);
+      await this.searchIndex.removeDate(date);
+      await this.historyStore.deleteMeta(`dayOverview:${date}`);
+      await this.historyStore.deleteMeta(`sessionTitles:${date}`);
     }
+    
+    console.log(`Removed ${datesToRemove.length} archived day(s) beyond retention`);
+    return true;
   }
 
   async handleMessage(request, sender, sendResponse) {
@@ -161,11 +288,56 @@ class WebJourneyManager {
         await this.processPageContent(request.data, sender.tab);
         break;
       
+      case 'engagementUpdate':
+        await this.recordEngagement(request.data, sender.tab);
+        break;
+      
+      case 'routeChanged':
+        await this.handleRouteChange({ ...sender.tab, url: request.url, title: request.title });
+        break;
+      
       case 'getDailySummary':
+        await this.engagementTracker.flush();
         const summary = await this.generateDailySummary();
         sendResponse({ summary });
         break;
       
+      case 'getSummaryForDate':
+        await this.engagementTracker.flush();
+        const dateSummary = await this.generateDailySummary(request.date);
+        sendResponse({ summary: dateSummary });
+        break;
+      
+      case 'getAvailableDates':
+        const dates = await this.getAvailableDates();
+        sendResponse({ dates });
+        break;
+      
+      case 'searchHistory':
+        const results = await this.searchIndex.search(request.query, request.filters);
+        sendResponse({ results });
+        break;
+      
+      case 'exportHistory':
+        const exported = await this.exportHistory(request);
+        sendResponse(exported);
+        break;
+      
+      case 'importHistory':
+        const imported = await this.importHistory(request);
+        sendResponse(imported);
+        break;
+      
+      case 'getSummarizerStatus':
+        const providers = await this.summarizer.getStatus();
+        sendResponse({ success: true, providers });
+        break;
+        
+      case 'getSearchDomains':
+        const domains = await this.searchIndex.getDomains();
+        sendResponse({ domains });
+        break;
+      
       case 'clearData':
         await this.clearStoredData();
         sendResponse({ success: true });
@@ -181,13 +353,15 @@ class WebJourneyManager {
   async handlePageVisit(tabId, tab) {
     // Only process valid URLs (not chrome://, about:, etc.)
     if (!tab.url.startsWith('http')) return;
-
-    // Check if we should process this page (avoid processing too frequently)
-    const today = new Date().toDateString();
-    const storedData = await this.getStoredData();
     
-    if (storedData.visitedPages?.[today]?.[tab.url]) {
-      return; // Already processed this page today
+    if (!this.isTrackedUrl(tab.url)) return;
+
+    // Every completed load is its own visit, including revisits and reloads. The content
+    // script may already have started this visit if its first extraction won the race.
+    const current = this.tabVisits.get(tabId);
+    const isSameLoad = current?.url === tab.url && Date.now() - current.startedAt < 5000;
+    if (!isSameLoad) {
+      await this.startVisit(tab);
     }
 
     // Send message to content script to extract page content
@@ -199,10 +373,14 @@ class WebJourneyManager {
       
       // Try to inject content script if it's not available
       try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tabId },
-          files: ['content.js']
-        });
+        // Same scripts, in the same order and JavaScript world, as the manifest's content scripts
+        for (const script of chrome.runtime.getManifest().content_scripts) {
+          await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: script.js,
+            world: script.world || 'ISOLATED'
+          });
+        }
         console.log('Content script injected successfully');
       } catch (injectError) {
         console.log('Failed to inject content script:', injectError);
@@ -210,57 +388,337 @@ class WebJourneyManager {
     }
   }
 
+  // Both the tab listener and the content script report route changes, whichever comes first
+  // starts the visit. In-page updates that keep the route (e.g. anchor jumps) are ignored.
+  async handleRouteChange(tab) {
+    if (!tab?.url?.startsWith('http') || !this.isTrackedUrl(tab.url)) return;
+    
+    const current = this.tabVisits.get(tab.id);
+    if (current && Navigation.isSameRoute(current.url, tab.url)) return;
+    
+    await this.startVisit(tab);
+  }
+
+  // Tracking is on and no site rule excludes the URL
+  isTrackedUrl(url) {
+    return this.settings.get('trackingEnabled') &&
+      SiteRules.isTracked(url, this.settings.get('siteRules'), this.settings.get('siteRulesDefault'));
+  }
+
+  // Removes personal data and secrets from text before it is stored or summarized
+  redactText(text) {
+    if (!text || !this.settings.get('redactSensitiveContent')) return text;
+    return Redactor.redact(text).text;
+  }
+
+  // URLs are stored with sensitive query and fragment values removed (see Redactor.redactUrl)
+  redactUrl(url) {
+    if (!url || !this.settings.get('redactSensitiveContent')) return url;
+    return Redactor.redactUrl(url);
+  }
+
+  async loadTabVisits() {
+    const result = await chrome.storage.session.get(['tabVisits']);
+    this.tabVisits = new Map(Object.entries(result.tabVisits || {}).map(([tabId, entry]) => [Number(tabId), entry]));
+  }
+
+  async saveTabVisits() {
+    await chrome.storage.session.set({ tabVisits: Object.fromEntries(this.tabVisits) });
+  }
+
+  // Records the start of a visit to the page a tab is showing. Concurrent starts for the same
+  // tab and URL (e.g. a route change reported twice) share one visit.
+  startVisit(tab) {
+    const pending = this.pendingVisitStarts.get(tab.id);
+    if (pending?.url === tab.url) return pending.promise;
+    
+    const promise = this.recordVisitStart(tab).finally(() => {
+      if (this.pendingVisitStarts.get(tab.id)?.promise === promise) {
+        this.pendingVisitStarts.delete(tab.id);
+      }
+    });
+    this.pendingVisitStarts.set(tab.id, { url: tab.url, promise });
+    return promise;
+  }
+
+  async recordVisitStart(tab) {
+    const date = this.getCurrentDayKey();
+    
+    // A day boundary may have passed without the alarm firing (e.g. the machine was asleep)
+    const state = await this.getRolloverState();
+    if (state.lastRolloverDay !== date) {
+      await this.performDailyRollover();
+    }
+    
+    // Credit time spent so far to the visit this tab is leaving
+    await this.engagementTracker.flush();
+    
+    // Links to the page this one was reached from: the tab's previous page, or for a new tab the
+    // page showing in the tab that opened it
+    const previous = this.tabVisits.get(tab.id);
+    const opener = !previous && tab.openerTabId !== undefined ? this.tabVisits.get(tab.openerTabId) : null;
+    const navigation = this.pendingTransitions.get(tab.id);
+    const transition = navigation && Navigation.isSameRoute(navigation.url, tab.url) ? navigation : null;
+    this.pendingTransitions.delete(tab.id);
+    
+    const now = new Date().toISOString();
+    const visit = await this.historyStore.addVisit({
+      url: this.redactUrl(tab.url),
+      title: this.redactText(tab.title),
+      date,
+      tabId: tab.id,
+      timestamp: now,
+      lastUpdated: now,
+      ...(previous ? { previousVisitId: previous.visitId } : {}),
+      ...(opener ? { openerTabId: tab.openerTabId, openerVisitId: opener.visitId } : {}),
+      ...(transition ? { transition: transition.transition, transitionQualifiers: transition.qualifiers } : {})
+    });
+    
+    this.tabVisits.set(tab.id, { visitId: visit.id, url: tab.url, startedAt: Date.now() });
+    await this.saveTabVisits();
+    
+    // Searchable by title until its content arrives
+    await this.searchIndex.addDocumentIfMissing(date, visit);
+    return visit;
+  }
+
+  // The visit a tab's content belongs to, or null if the tab has moved to another route since
+  async getCurrentVisit(tab) {
+    const current = this.tabVisits.get(tab.id);
+    if (!current || !Navigation.isSameRoute(current.url, tab.url)) return null;
+    
+    return await this.historyStore.getVisitById(current.visitId);
+  }
+
+  // Scroll depth and interaction counts reported by the content script for the current visit
+  async recordEngagement(engagement, tab) {
+    if (!tab || !engagement) return;
+    
+    // Sent for a route the tab has already left
+    if (engagement.url && !Navigation.isSameRoute(engagement.url, tab.url)) return;
+    
+    const visit = await this.getCurrentVisit(tab);
+    if (!visit) return;
+    
+    await this.historyStore.updateVisit(visit.id, (stored) => ({
+      scrollDepth: Math.max(stored.scrollDepth || 0, Math.round(engagement.scrollDepth || 0)),
+      interactions: Math.max(stored.interactions || 0, engagement.interactions || 0)
+    }));
+  }
+
+  async hashContent(content) {
+    const bytes = new TextEncoder().encode(content);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Most recent earlier visit of the same URL whose content was identical and already summarized
+  async findReusableSummary(url, contentHash, excludeVisitId) {
+    const visits = await this.historyStore.getVisitsForUrl(url);
+    return visits
+      .filter(visit => visit.id !== excludeVisitId && visit.contentHash === contentHash && visit.aiSummary)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0] || null;
+  }
+
   async processPageContent(contentData, tab) {
-    if (this.isProcessing) return;
+    // Content scripts loaded before a rule was added may still report excluded pages
+    if (!this.isTrackedUrl(tab.url)) return;
     
-    this.isProcessing = true;
+    // Extracted before a single-page app changed route; the new route sends its own content
+    if (contentData.url && !Navigation.isSameRoute(contentData.url, tab.url)) return;
     
     try {
-      const today = new Date().toDateString();
-      
-      // Store basic page info
-      const pageInfo = {
-        url: tab.url,
-        title: tab.title,
-        timestamp: new Date().toISOString(),
-        contentLength: contentData.content?.length || 0
+      const visit = await this.getCurrentVisit(tab) || await this.startVisit(tab);
+      const redact = this.settings.get('redactSensitiveContent');
+      const content = this.redactText(contentData.content || '');
+      const metadata = redact ? Redactor.redactFields(contentData.metadata) : (contentData.metadata || {});
+      // The URL is redacted as a URL rather than as text, from the original value
+      if (redact && metadata.url) {
+        metadata.url = this.redactUrl(contentData.metadata.url);
+      }
+      const contentHash = await this.hashContent(content);
+      // Content scripts from before confidence scoring don't report one
+      const confidence = typeof contentData.confidence === 'number' ? contentData.confidence : 1;
+      const siteData = this.getSiteData(contentData.site);
+      
+      // The content script re-sends on DOM changes; nothing to do if the text is the same
+      if (visit.contentHash === contentHash) return;
+      
+      const changes = {
+        title: this.redactText(tab.title),
+        lastUpdated: new Date().toISOString(),
+        contentLength: content.length,
+        contentHash,
+        contentConfidence: confidence,
+        metadata
       };
+      if (siteData) {
+        changes.siteData = siteData;
+      }
+      // A single-page app keeps its first referrer across routes, so only a tab's first page takes
+      // it, and only when the referring page could be recorded itself
+      if (contentData.referrer && !visit.referrer && !visit.previousVisitId && this.isTrackedUrl(contentData.referrer)) {
+        changes.referrer = this.redactUrl(contentData.referrer);
+      }
 
-      // Generate AI summary if available
-      if (this.currentSession && contentData.content) {
-        try {
-          const summary = await this.generateAISummary(contentData.content, tab.url);
-          pageInfo.aiSummary = summary;
-          console.log('Generated AI summary for:', tab.title);
-        } catch (error) {
-          console.warn('AI summary failed, using fallback:', error);
-          pageInfo.fallbackSummary = this.generateFallbackSummary(contentData.content);
-        }
-      } else if (contentData.content) {
-        pageInfo.fallbackSummary = this.generateFallbackSummary(contentData.content);
+      // The fallback summary is shown until the AI summary is ready
+      if (content) {
+        const { summary, keywords } = this.generateFallbackSummary(content, changes.title, metadata);
+        changes.fallbackSummary = summary;
+        changes.keywords = keywords;
+      }
+      
+      // Small edits to a page that is already summarized or queued (a new comment, updated
+      // counters) keep its summary; only bigger changes are worth summarizing again
+      const signature = ContentFingerprint.signature(content);
+      const changedShare = visit.summarySignature ? 1 - ContentFingerprint.similarity(visit.summarySignature, signature) : 1;
+      const keepSummary = changedShare * 100 < this.settings.get('resummarizeChangePercent');
+      
+      // Revisits of unchanged pages reuse the earlier AI summary instead of summarizing again
+      const previous = content && !keepSummary ? await this.findReusableSummary(visit.url, contentHash, visit.id) : null;
+      // Text that probably isn't the page's real content would only produce a misleading summary
+      const confidentEnough = confidence * 100 >= this.settings.get('minContentConfidence');
+      const needsAISummary = Boolean(!keepSummary && !previous && content && confidentEnough &&
+        await this.summarizer.isAvailable('summarize'));
+      
+      if (previous) {
+        changes.aiSummary = previous.aiSummary;
+        changes.summaryReusedFrom = previous.id;
+        changes.category = previous.category;
+        changes.categorySource = previous.categorySource;
+      } else if (!keepSummary && !needsAISummary && visit.aiSummary) {
+        // The stored summary describes content that is gone and can't be replaced now
+        changes.aiSummary = null;
+      }
+      if (!keepSummary) {
+        changes.summaryStatus = needsAISummary ? 'pending' : 'done';
+        changes.summarySignature = needsAISummary || previous ? signature : null;
       }
 
-      // Store the page data
-      await this.storePageData(today, pageInfo);
+      const updated = await this.historyStore.updateVisit(visit.id, changes);
+      if (!updated) return; // Cleared while we were working
+      
+      // Keep the search index in step with stored pages
+      await this.searchIndex.addDocument(updated.date, updated);
+      
+      // AI summaries are generated by the queue so no page is dropped while another is in progress
+      if (needsAISummary) {
+        await this.summaryQueue.enqueue(updated.id, {
+          url: updated.url,
+          title: changes.title,
+          content,
+          siteType: siteData?.type || null
+        });
+      }
       
-      console.log('Processed page:', tab.title);
+      if (previous) {
+        console.log('Processed revisit (summary reused):', tab.title);
+      } else if (keepSummary) {
+        console.log(`Processed page update (${Math.round(changedShare * 100)}% changed, summary kept):`, tab.title);
+      } else if (!confidentEnough) {
+        console.log(`Processed page (confidence ${confidence}, fallback summary only):`, tab.title);
+      } else {
+        console.log('Processed page:', tab.title);
+      }
       
     } catch (error) {
       console.error('Error processing page content:', error);
-    } finally {
-      this.isProcessing = false;
     }
   }
 
-  async generateAISummary(content, url) {
-    if (!this.currentSession) {
-      throw new Error('AI session not available');
+  async processSummaryJob(job) {
+    const visit = await this.setSummaryStatus(job.visitId, { summaryStatus: 'summarizing' });
+    if (!visit) return; // Visit was cleared or pruned while queued
+    
+    // Long pages are summarized section by section; finished sections are saved with the job so
+    // a suspended worker picks up where it stopped
+    const { summary, provider } = await this.generateAISummary(job.content, job.url, job.siteType, {
+      progress: job.progress,
+      onProgress: async (progress) => {
+        await this.summaryQueue.saveProgress(job, progress);
+        // Shown on the page's badge as sections done out of total
+        await this.setSummaryStatus(job.visitId, {
+          summaryProgress: { done: progress.partials.length, total: progress.total }
+        });
+      }
+    });
+    const category = await this.classifyWithAI({ ...visit, aiSummary: summary });
+    const updated = await this.setSummaryStatus(job.visitId, {
+      aiSummary: summary,
+      summaryProvider: provider,
+      summaryStatus: 'done',
+      summaryProgress: null,
+      summaryError: null,
+      ...(category ? { category, categorySource: 'ai' } : {})
+    });
+    
+    if (updated) {
+      await this.searchIndex.addDocument(updated.date, updated);
+      console.log('Generated AI summary for:', job.title);
+    }
+  }
+
+  // Updates a visit's summary fields and tells any open popup about the new status
+  async setSummaryStatus(visitId, changes) {
+    const visit = await this.historyStore.updateVisit(visitId, changes);
+    if (!visit) return null;
+    
+    chrome.runtime.sendMessage({
+      action: 'summaryStatusChanged',
+      visitId,
+      date: visit.date,
+      url: visit.url,
+      summaryStatus: visit.summaryStatus,
+      summaryProgress: visit.summaryProgress || null,
+      summaryError: visit.summaryError || null,
+      summary: visit.aiSummary || visit.fallbackSummary || '',
+      category: this.getCategory(visit)
+    }).catch(() => {
+      // No popup open to receive the update
+    });
+    
+    return visit;
+  }
+
+  // Topic from the language model, or null to leave the page to the local classifier
+  async classifyWithAI(visit) {
+    if (!(await this.summarizer.isAvailable('prompt'))) return null;
+    
+    try {
+      return await TopicClassifier.classifyWithAI(this.summarizer, visit, this.settings.get('taxonomy'));
+    } catch (error) {
+      console.warn('AI topic classification failed, using keyword rules:', error);
+      return null;
     }
+  }
 
-    // Limit content length to avoid token limits
-    const limitedContent = content.substring(0, 8000);
+  getCategory(page) {
+    return TopicClassifier.resolve(page, this.settings.get('taxonomy'));
+  }
+
+  // Typed fields from a site extractor, checked against its declared field types and redacted.
+  // Returns null for pages the generic extractor handled or whose extractor is unknown here.
+  getSiteData(site) {
+    const extractor = site && SiteExtractors.get(site.type);
+    if (!extractor) return null;
     
-    const prompt = `Create a concise, factual summary of ONLY this specific web page content. Focus on:
+    const fields = SiteExtractors.normalizeFields(extractor, site.fields);
+    return {
+      type: extractor.type,
+      fields: this.settings.get('redactSensitiveContent') ? Redactor.redactFields(fields) : fields
+    };
+  }
+
+  // Resolves to { summary, provider } from the first summarizer provider that works.
+  // progress, onProgress, onText and signal are passed to SummarizerService.summarizeInChunks.
+  async generateAISummary(content, url, siteType = null, { progress = null, onProgress, onText, signal } = {}) {
+    // Pages from known sites arrive as labelled fields; tell the model what it is looking at
+    const site = siteType ? SiteExtractors.get(siteType) : null;
+    const siteContext = site
+      ? `\nThis page is a ${site.label} and its content was extracted into labelled fields. Concentrate on ${site.focus}.\n`
+      : '';
+    
+    const instructions = `Create a concise, factual summary of ONLY this specific web page content. Focus on:
 
 • Main topics and key information presented on this page only
 • Type of content (article, video, product page, etc.)
@@ -268,95 +726,628 @@ class WebJourneyManager {
 • Key facts, data, or insights from this page only
 
 IMPORTANT: Only summarize the content provided below. Do not include information from other pages or domains.
-
+${siteContext}
 Format the summary with:
 - Clear paragraphs with spacing
 - Bullet points for lists and key points
 - **Bold** emphasis on important concepts
-- Professional, factual tone (avoid narrative like "you started your day")
+- Professional, factual tone (avoid narrative like "you started your day")`;
 
-Content to summarize:
-${limitedContent}
+    // Providers that take no instructions (Chrome's Summarizer API) get this description instead
+    const context = site
+      ? `A ${site.label}. Concentrate on ${site.focus}.`
+      : `A web page from ${HistoryStore.extractDomain(url)}.`;
+    
+    const { text, provider } = await this.summarizer.summarizeInChunks(content, { instructions, context, progress, onProgress, onText, signal });
+    return { summary: text, provider };
+  }
 
-Summary:`;
+  // Extractive summary and keyword tags, boosted by what the page says it is about
+  generateFallbackSummary(content, title = '', metadata = {}) {
+    return ExtractiveSummarizer.summarize(content, {
+      title: title || metadata.ogTitle || '',
+      description: metadata.description || metadata.ogDescription || ''
+    });
+  }
 
-    const summary = await this.currentSession.prompt(prompt);
-    return summary.trim();
+  async getAvailableDates() {
+    const today = this.getCurrentDayKey();
+    
+    // Today is always listed so the popup can navigate back to it
+    const dates = new Set([today, ...(await this.historyStore.getDates())]);
+    
+    // Most recent first
+    return [...dates].sort((a, b) => new Date(b) - new Date(a));
   }
 
-  generateFallbackSummary(content) {
-    // Simple fallback: extract first few meaningful sentences
-    const sentences = content.split(/[.!?]+/).filter(s => s.trim().length > 20);
-    const firstSentences = sentences.slice(0, 3).join('. ');
-    return firstSentences + (sentences.length > 3 ? '...' : '');
+  // Builds the export file for the days between dateFrom and dateTo (day keys, both inclusive) in
+  // the given format. Without a range the current day is exported. The popup saves the file: a
+  // service worker can't make blob URLs, and data URLs are capped at 2 MB.
+  async exportHistory({ format, dateFrom, dateTo }) {
+    try {
+      const today = this.getCurrentDayKey();
+      const range = { from: dateFrom || dateTo || today, to: dateTo || dateFrom || today };
+      if (new Date(range.from) > new Date(range.to)) {
+        [range.from, range.to] = [range.to, range.from];
+      }
+      
+      await this.engagementTracker.flush();
+      
+      const dates = (await this.historyStore.getDates())
+        .filter(date => new Date(date) >= new Date(range.from) && new Date(date) <= new Date(range.to))
+        .sort((a, b) => new Date(a) - new Date(b));
+      
+      if (dates.length === 0) {
+        return { success: false, error: 'No pages recorded in this range.' };
+      }
+      
+      const days = [];
+      for (const date of dates) {
+        const visits = await this.historyStore.getVisitsForDate(date);
+        const pages = this.aggregateVisits(visits)
+          .sort((a, b) => new Date(a.firstSeen) - new Date(b.firstSeen));
+        
+        // The saved overview, AI-written where available, as the popup shows it; the basic one only
+        // when the day has none yet
+        const { overview, stale } = await this.getCachedDayOverview({ date, visits, pages });
+        days.push({ date, overview, overviewStale: stale, pages, visits });
+      }
+      
+      const file = HistoryExporter.build(format, days, range);
+      
+      return {
+        success: true,
+        file,
+        days: days.length,
+        pages: days.reduce((sum, day) => sum + day.pages.length, 0)
+      };
+    } catch (error) {
+      console.error('Export failed:', error);
+      return { success: false, error: error.message };
+    }
   }
 
-  async storePageData(date, pageInfo) {
-    const data = await this.getStoredData();
+  // Validates a JSON backup and merges it into the history, or with dryRun only reports what
+  // would happen. mode is 'merge' or 'replace' (see HistoryStore.importVisits).
+  async importHistory({ data, mode = 'merge', dryRun = true }) {
+    try {
+      const { errors, warnings, visits, skipped } = HistoryImporter.validate(data);
+      if (errors.length > 0) {
+        return { success: false, errors, warnings };
+      }
+      if (visits.length === 0) {
+        return { success: false, errors: ['The backup contains no pages that can be imported.'], warnings };
+      }
+      
+      // Backups may predate redaction, so they get the same treatment as freshly captured pages
+      if (this.settings.get('redactSensitiveContent')) {
+        visits.forEach(visit => {
+          ['title', 'fallbackSummary', 'aiSummary']
+            .filter(field => visit[field])
+            .forEach(field => {
+              visit[field] = this.redactText(visit[field]);
+            });
+          ['url', 'referrer']
+            .filter(field => visit[field])
+            .forEach(field => {
+              visit[field] = this.redactUrl(visit[field]);
+            });
+          if (visit.metadata) {
+            visit.metadata = {
+              ...Redactor.redactFields(visit.metadata),
+              ...(visit.metadata.url ? { url: this.redactUrl(visit.metadata.url) } : {})
+            };
+          }
+          if (visit.siteData) {
+            visit.siteData = Redactor.redactFields(visit.siteData);
+          }
+        });
+      }
+      
+      const report = await this.historyStore.importVisits(visits, { mode, dryRun });
+      const importedDates = [...new Set(visits.map(visit => visit.date))];
+      
+      const retentionWarning = await this.getImportRetentionWarning(importedDates);
+      if (retentionWarning) {
+        warnings.push(retentionWarning);
+      }
+      
+      if (!dryRun) {
+        await this.searchIndex.rebuild(await this.historyStore.getAllVisits());
+        console.log(`Imported ${report.added} visit(s) from backup (${mode})`);
+      }
+      
+      return {
+        success: true,
+        dryRun,
+        warnings,
+        report: { ...report, days: importedDates.length, visits: visits.length, skipped }
+      };
+    } catch (error) {
+      console.error('Import failed:', error);
+      return { success: false, errors: [error.message] };
+    }
+  }
+
+  // Old days in a backup are pruned again at the next rollover if retention doesn't cover them
+  async getImportRetentionWarning(importedDates) {
+    const retentionDays = this.settings.get('archiveRetentionDays');
+    if (retentionDays === 0) return null;
+    
+    const currentDay = this.getCurrentDayKey();
+    const kept = [...new Set([...(await this.historyStore.getDates()), ...importedDates])]
+      .filter(date => date !== currentDay)
+      .sort((a, b) => new Date(b) - new Date(a))
+      .slice(0, retentionDays);
+    
+    const pruned = importedDates.filter(date => date !== currentDay && !kept.includes(date));
+    if (pruned.length === 0) return null;
+    
+    return `${pruned.length} imported day(s) are older than the ${retentionDays} archived days you keep and will be removed at the next day rollover. Set "Keep archived days" to 0 in Settings to keep everything.`;
+  }
+
+  // AI daily overview if available, otherwise the statistical one. source is 'ai' or 'fallback'.
+  // onText streams the AI overview as it is written; signal stops it (the build then fails).
+  async buildDayOverview(pages, date, isToday, { onText, signal } = {}) {
+    const dayPrefix = isToday ? 'Today' : `On ${date}`;
     
-    if (!data.visitedPages) {
-      data.visitedPages = {};
+    if (pages.length > 0 && await this.summarizer.isAvailable('prompt')) {
+      try {
+        // Pages the user actually spent time on come first and are labelled with that time
+        const pageSummaries = [...pages]
+          .sort((a, b) => (b.activeMs || 0) - (a.activeMs || 0))
+          .map(p => `[${p.category} · ${DayAggregator.formatDuration(p.activeMs || 0)} active] ${p.aiSummary || p.fallbackSummary || ''}`)
+          .join('\n\n');
+        const overview = await this.generateAIDailyOverview(pageSummaries, pages.length, isToday ? 'today' : `on ${date}`, { onText, signal });
+        return { overview, source: 'ai' };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn('AI daily overview failed:', error);
+      }
     }
     
-    if (!data.visitedPages[date]) {
-      data.visitedPages[date] = {};
+    return { overview: this.generateFallbackDailyOverview(pages, dayPrefix), source: 'fallback' };
+  }
+
+  // Visits and per-URL pages for each of the given days
+  async loadDays(dates) {
+    const days = [];
+    for (const date of dates) {
+      const visits = await this.historyStore.getVisitsForDate(date);
+      days.push({ date, visits, pages: this.aggregateVisits(visits) });
     }
+    return days;
+  }
+
+  // Overviews are stored with the pages they covered and kept until pages are added to the day.
+  // Fallback overviews are also replaced once AI becomes available.
+  async isOverviewCurrent(cached, day) {
+    if (!Array.isArray(cached?.pages)) return false;
     
-    data.visitedPages[date][pageInfo.url] = pageInfo;
+    const covered = new Set(cached.pages);
+    if (!day.pages.every(page => covered.has(page.url))) return false;
     
-    await chrome.storage.local.set({ webJourneyData: data });
+    return cached.source === 'ai' || !(await this.summarizer.isAvailable('prompt'));
   }
-
-  async getStoredData() {
-    const result = await chrome.storage.local.get(['webJourneyData']);
-    return result.webJourneyData || { visitedPages: {} };
+  
+  // First level of the digest hierarchy; waits for the overview when it has to be rebuilt
+  async getDayOverview(day) {
+    const cached = await this.historyStore.getMeta(`dayOverview:${day.date}`);
+    if (await this.isOverviewCurrent(cached, day)) {
+      return cached.overview;
+    }
+    
+    return (await this.refreshDayOverview(day).promise).overview;
+  }
+  
+  // For digests: a day's saved overview is used even when pages were added since (it is rebuilt in
+  // the background), so only days without one wait for the model. Returns { overview, stale }.
+  async getDigestDayOverview(day) {
+    const cached = await this.historyStore.getMeta(`dayOverview:${day.date}`);
+    if (!cached?.overview) {
+      return { overview: await this.getDayOverview(day), stale: false };
+    }
+    return this.getCachedDayOverview(day);
+  }
+  
+  // For the popup, which shouldn't wait for the AI: the stored overview is returned right away and
+  // marked stale when pages were added since it was built. It is then rebuilt in the background, and
+  // the popup follows the rebuild with a streamOverview request.
+  async getCachedDayOverview(day) {
+    const cached = await this.historyStore.getMeta(`dayOverview:${day.date}`);
+    if (await this.isOverviewCurrent(cached, day)) {
+      return { overview: cached.overview, stale: false };
+    }
+    
+    // Without AI the overview is built instantly, so there is nothing to wait for
+    if (!(await this.summarizer.isAvailable('prompt'))) {
+      return { overview: (await this.refreshDayOverview(day).promise).overview, stale: false };
+    }
+    
+    const refresh = this.refreshDayOverview(day);
+    refresh.promise.catch(error => {
+      if (!refresh.controller.signal.aborted) {
+        console.error('Failed to refresh the daily overview:', error);
+      }
+    });
+    
+    const dayPrefix = day.date === this.getCurrentDayKey() ? 'Today' : `On ${day.date}`;
+    return { overview: cached?.overview || this.generateFallbackDailyOverview(day.pages, dayPrefix), stale: true };
+  }
+  
+  // Builds and stores a day's overview. Requests for a day that is already being rebuilt share that
+  // build instead of prompting the model again; listeners get the text as it is written.
+  // Returns { promise, controller, text, listeners }.
+  refreshDayOverview(day) {
+    if (!this.overviewRefreshes.has(day.date)) {
+      const refresh = { controller: new AbortController(), text: '', listeners: new Set() };
+      const onText = (text) => {
+        refresh.text = text;
+        refresh.listeners.forEach(listener => listener(text));
+      };
+      
+      refresh.promise = (async () => {
+        const { overview, source } = await this.buildDayOverview(day.pages, day.date, day.date === this.getCurrentDayKey(), {
+          onText,
+          signal: refresh.controller.signal
+        });
+        const entry = { overview, source, pages: day.pages.map(page => page.url), builtAt: new Date().toISOString() };
+        await this.historyStore.setMeta(`dayOverview:${day.date}`, entry);
+        return entry;
+      })().finally(() => this.overviewRefreshes.delete(day.date));
+      
+      this.overviewRefreshes.set(day.date, refresh);
+    }
+    return this.overviewRefreshes.get(day.date);
+  }
+  
+  // Streams a day's overview to the popup while it is rebuilt, joining a rebuild that is already
+  // running. Cancelling stops the rebuild; closing the popup only stops following it.
+  async streamDayOverview({ date }, { signal, progress, text }) {
+    const [day] = await this.loadDays([date || this.getCurrentDayKey()]);
+    const cached = await this.historyStore.getMeta(`dayOverview:${day.date}`);
+    if (day.pages.length === 0 || await this.isOverviewCurrent(cached, day)) {
+      return { overview: cached?.overview || '', stale: false };
+    }
+    
+    progress(`Writing an overview of ${day.pages.length} pages...`);
+    const refresh = this.refreshDayOverview(day);
+    refresh.listeners.add(text);
+    if (refresh.text) text(refresh.text);
+    
+    const onAbort = () => {
+      refresh.listeners.delete(text);
+      if (signal.reason === STREAM_CANCELLED) {
+        refresh.controller.abort();
+      }
+    };
+    signal.addEventListener('abort', onAbort);
+    
+    try {
+      const { overview } = await refresh.promise;
+      return { overview, stale: false };
+    } finally {
+      refresh.listeners.delete(text);
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  // Day data for the popup, reporting each step instead of leaving it to guess
+  async loadDayForPopup({ date }, { progress }) {
+    progress('Saving time spent on open pages...');
+    await this.engagementTracker.flush();
+    
+    progress('Finding your browsing days...');
+    const dates = await this.getAvailableDates();
+    const summary = await this.generateDailySummary(date, { onProgress: progress });
+    return { dates, summary };
+  }
+  
+  // Summarizes a page again on request, streaming the summary as it is written. The page has to
+  // be open in a tab, since only its text hash is stored.
+  async streamPageSummary({ url }, { signal, progress, text }) {
+    const tabs = await chrome.tabs.query({});
+    // Stored URLs may have had query values redacted
+    const tab = tabs.find(candidate => candidate.url && Navigation.isSameRoute(this.redactUrl(candidate.url), url));
+    if (!tab) {
+      throw new Error('Open the page in a tab to summarize it again.');
+    }
+    
+    const visit = this.isTrackedUrl(tab.url) ? await this.getCurrentVisit(tab) : null;
+    if (!visit) {
+      throw new Error('This page is not being recorded.');
+    }
+    
+    progress('Reading the page...');
+    const contentData = await chrome.tabs.sendMessage(tab.id, { action: 'getPageContent' });
+    const content = this.redactText(contentData?.content || '');
+    if (!content) {
+      throw new Error('No text was found on this page.');
+    }
+    
+    progress('Summarizing...');
+    const { summary, provider } = await this.generateAISummary(content, visit.url, contentData.site?.type || null, {
+      onProgress: async ({ partials, total }) => progress(`Summarized ${partials.length} of ${total} sections...`),
+      onText: text,
+      signal
+    });
+    
+    const category = await this.classifyWithAI({ ...visit, aiSummary: summary });
+    const updated = await this.setSummaryStatus(visit.id, {
+      aiSummary: summary,
+      summaryProvider: provider,
+      summaryStatus: 'done',
+      summaryProgress: null,
+      summaryError: null,
+      summarySignature: ContentFingerprint.signature(content),
+      ...(category ? { category, categorySource: 'ai' } : {})
+    });
+    
+    // A summary still waiting in the queue would only replace this one
+    await this.summaryQueue.cancel(visit.id);
+    if (updated) {
+      await this.searchIndex.addDocument(updated.date, updated);
+    }
+    return { summary, provider };
   }
 
-  async loadStoredData() {
-    return await this.getStoredData();
+  // The day's browsing sessions, titled with their saved AI title when there is one. Sessions
+  // that have grown since they were named keep the old title but are marked titlePending when the
+  // AI can name them again.
+  async getDaySessions(day) {
+    const sessions = SessionBuilder.build(day.visits, { gapMs: this.settings.get('sessionGapMinutes') * 60 * 1000 });
+    const saved = (await this.historyStore.getMeta(`sessionTitles:${day.date}`)) || {};
+    const canTitle = sessions.some(session => saved[session.id]?.signature !== session.signature) &&
+      await this.summarizer.isAvailable('prompt');
+    
+    return sessions.map(session => {
+      const title = saved[session.id];
+      return {
+        ...session,
+        title: title?.title || session.fallbackTitle,
+        titleSource: title ? 'ai' : 'fallback',
+        titlePending: canTitle && title?.signature !== session.signature
+      };
+    });
+  }
+  
+  // Names the day's sessions that need a title, one prompt each, saving each title as it is
+  // written. A popup opened while this runs shares the same run.
+  titleDaySessions(date) {
+    if (!this.sessionTitleRuns.has(date)) {
+      const run = this.writeSessionTitles(date).finally(() => this.sessionTitleRuns.delete(date));
+      this.sessionTitleRuns.set(date, run);
+    }
+    return this.sessionTitleRuns.get(date);
+  }
+  
+  async writeSessionTitles(date) {
+    const [day] = await this.loadDays([date]);
+    const sessions = await this.getDaySessions(day);
+    const key = `sessionTitles:${date}`;
+    
+    for (const session of sessions.filter(candidate => candidate.titlePending)) {
+      try {
+        const visits = day.visits.filter(visit => session.visitIds.includes(visit.id));
+        const title = SessionBuilder.cleanTitle(await this.summarizer.prompt(SessionBuilder.buildTitlePrompt(session, visits)));
+        if (!title) continue;
+        
+        const saved = (await this.historyStore.getMeta(key)) || {};
+        saved[session.id] = { title, signature: session.signature };
+        await this.historyStore.setMeta(key, saved);
+        Object.assign(session, { title, titleSource: 'ai' });
+      } catch (error) {
+        // The rest keep their fallback titles until the popup is opened again
+        console.warn('Could not name a browsing session:', error);
+        break;
+      }
+    }
+    return sessions.map(session => ({ ...session, titlePending: false }));
+  }
+  
+  async streamSessionTitles({ date }, { progress }) {
+    progress('Naming your browsing sessions...');
+    const sessions = await this.titleDaySessions(date || this.getCurrentDayKey());
+    return { sessions };
+  }
+  
+  // Answers a question about the history from the stored pages, streaming the answer as it is
+  // written. Resolves to { answer, sources, source, range }, where source is 'ai' or 'matches'
+  // and sources are the pages the answer's [n] citations point to.
+  async askHistory({ question }, { signal, progress, text }) {
+    question = String(question || '').trim();
+    if (!question) {
+      throw new Error('Ask a question about your history.');
+    }
+    
+    progress('Searching your history...');
+    const { sources, range } = await this.findChatSources(question);
+    
+    if (sources.length > 0 && await this.summarizer.isAvailable('prompt')) {
+      progress(`Reading ${sources.length} matching page${sources.length === 1 ? '' : 's'}...`);
+      try {
+        const { prompt, used } = HistoryChat.buildPrompt(question, sources, await this.summarizer.getChunkChars('prompt'));
+        const answer = (await this.summarizer.prompt(prompt, { onText: text, signal })).trim();
+        return { answer, sources: sources.slice(0, used), source: 'ai', range: range.label };
+      } catch (error) {
+        if (signal.aborted) throw error;
+        console.warn('AI answer failed, showing the matches instead:', error);
+      }
+    }
+    
+    return { answer: HistoryChat.fallbackAnswer(sources, range.label), sources, source: 'matches', range: range.label };
+  }
+  
+  // Best matches for a question within the days it names. A question with only a date ("what did
+  // I read yesterday?") gets the pages most time went to that day.
+  async findChatSources(question) {
+    const range = HistoryChat.parseDates(question, this.getCurrentDayKey());
+    const terms = HistoryChat.searchTerms(range.rest);
+    
+    let matches = [];
+    if (terms.length > 0) {
+      matches = await this.searchIndex.search(terms.join(' '), {
+        dateFrom: range.dateFrom,
+        dateTo: range.dateTo,
+        limit: CHAT_MAX_SOURCES
+      });
+    } else if (range.dateFrom) {
+      const dates = (await this.historyStore.getDates())
+        .filter(date => new Date(date) >= new Date(range.dateFrom) && new Date(date) <= new Date(range.dateTo));
+      matches = (await this.loadDays(dates))
+        .flatMap(day => day.pages.map(page => ({ ...page, date: day.date })))
+        .sort((a, b) => (b.activeMs || 0) - (a.activeMs || 0) || new Date(b.timestamp) - new Date(a.timestamp))
+        .slice(0, CHAT_MAX_SOURCES);
+    }
+    
+    const sources = matches.map(page => ({
+      url: page.url,
+      title: page.title || '',
+      date: page.date,
+      domain: HistoryStore.extractDomain(page.url),
+      timestamp: page.timestamp,
+      summary: HistoryChat.sourceText(page)
+    }));
+    return { sources, range };
+  }
+  
+  // Cached overviews and digests would otherwise outlive the pages they describe
+  async clearSummaryCaches() {
+    await this.historyStore.deleteMeta('dayOverview:', { prefix: true });
+    await this.historyStore.deleteMeta('sessionTitles:', { prefix: true });
+    await this.historyStore.deleteMeta('digests');
   }
 
-  async generateDailySummary() {
-    const today = new Date().toDateString();
-    const data = await this.getStoredData();
-    const todayPages = data.visitedPages?.[today] || {};
+  // Digest of the days between dateFrom and dateTo (day keys, inclusive), built from day overviews
+  // and streamed to the popup as it is written. Cached per range and reused until a page in the
+  // range changes, unless refresh is set.
+  async streamDigest({ dateFrom, dateTo, refresh = false }, { signal, progress, text }) {
+    const today = this.getCurrentDayKey();
+    const range = { from: dateFrom || today, to: dateTo || today };
+    if (new Date(range.from) > new Date(range.to)) {
+      [range.from, range.to] = [range.to, range.from];
+    }
+    
+    await this.engagementTracker.flush();
+    
+    const allDates = await this.historyStore.getDates();
+    const datesBetween = (from, to) => allDates
+      .filter(date => new Date(date) >= from && new Date(date) <= to)
+      .sort((a, b) => new Date(a) - new Date(b));
+    
+    const days = await this.loadDays(datesBetween(new Date(range.from), new Date(range.to)));
+    if (days.length === 0) {
+      return { digest: null, error: 'No pages recorded in this range.' };
+    }
+    
+    const cacheKey = `${range.from}|${range.to}`;
+    const signature = DigestBuilder.signature(days);
+    const cache = (await this.historyStore.getMeta('digests')) || {};
+    const cached = cache[cacheKey];
+    if (!refresh && cached?.signature === signature &&
+        (cached.digest.source === 'ai' || !(await this.summarizer.isAvailable('prompt')))) {
+      return { digest: cached.digest, cached: true };
+    }
+    
+    // New themes are measured against the period of the same length just before the range
+    const lengthDays = Math.round((new Date(range.to) - new Date(range.from)) / 86400000) + 1;
+    const previousFrom = new Date(range.from);
+    previousFrom.setDate(previousFrom.getDate() - lengthDays);
+    const previousTo = new Date(range.from);
+    previousTo.setDate(previousTo.getDate() - 1);
+    const previousDays = await this.loadDays(datesBetween(previousFrom, previousTo));
+    
+    const stats = DigestBuilder.computeStats(days, previousDays);
+    const dayOverviews = [];
+    let usedStaleOverview = false;
+    for (const [index, day] of days.entries()) {
+      progress(`Reading the overview of ${day.date} (${index + 1} of ${days.length})...`);
+      const { overview, stale } = await this.getDigestDayOverview(day);
+      dayOverviews.push({ date: day.date, overview });
+      usedStaleOverview = usedStaleOverview || stale;
+      if (signal.aborted) throw new Error('Cancelled');
+    }
+    
+    let overview = null;
+    let source = 'fallback';
+    if (await this.summarizer.isAvailable('prompt')) {
+      try {
+        progress(`Writing a digest of ${days.length} day${days.length === 1 ? '' : 's'}...`);
+        const prompt = DigestBuilder.buildPrompt(dayOverviews, stats, `from ${range.from} to ${range.to}`, await this.summarizer.getChunkChars('prompt'));
+        overview = (await this.summarizer.prompt(prompt, { onText: text, signal })).trim();
+        source = 'ai';
+      } catch (error) {
+        if (signal.aborted) throw error;
+        console.warn('AI digest failed:', error);
+      }
+    }
+    if (!overview) {
+      overview = DigestBuilder.fallbackOverview(stats, `From ${range.from} to ${range.to}`);
+    }
+    
+    const digest = { range, generatedAt: new Date().toISOString(), source, overview, stats, dayOverviews };
+    
+    // A digest built from overviews that are being rewritten is built again next time
+    if (usedStaleOverview) {
+      return { digest, cached: false };
+    }
     
-    const pages = Object.values(todayPages);
+    // Only the most recently generated ranges are kept
+    cache[cacheKey] = { signature, digest };
+    const recent = Object.entries(cache)
+      .sort(([, a], [, b]) => new Date(b.digest.generatedAt) - new Date(a.digest.generatedAt))
+      .slice(0, 10);
+    await this.historyStore.setMeta('digests', Object.fromEntries(recent));
+    
+    return { digest, cached: false };
+  }
+
+  // onProgress(message) reports each step to the popup
+  async generateDailySummary(date, { onProgress = () => {} } = {}) {
+    const today = this.getCurrentDayKey();
+    const targetDate = date || today;
+    const isToday = targetDate === today;
+    onProgress(isToday ? 'Reading today\'s pages...' : `Reading pages from ${targetDate}...`);
+    const visits = await this.historyStore.getVisitsForDate(targetDate);
+    const pages = this.aggregateVisits(visits);
     
     if (pages.length === 0) {
       return {
-        date: today,
+        date: targetDate,
+        isToday,
         totalPages: 0,
-        summary: "No pages visited today.",
+        totalVisits: 0,
+        summary: isToday ? "No pages visited today." : "No pages recorded for this day.",
+        sessions: [],
         pages: []
       };
     }
 
     // Group pages by domain
+    onProgress(`Grouping ${pages.length} pages by site...`);
     const groupedPages = this.groupPagesByDomain(pages);
-    
-    // Generate AI daily overview if available
-    let dailyOverview = '';
-    if (this.currentSession && pages.length > 0) {
-      try {
-        const pageSummaries = pages.map(p => p.aiSummary || p.fallbackSummary || '').join('\n\n');
-        dailyOverview = await this.generateAIDailyOverview(pageSummaries, pages.length);
-      } catch (error) {
-        console.warn('AI daily overview failed:', error);
-        dailyOverview = this.generateFallbackDailyOverview(pages);
-      }
-    } else {
-      dailyOverview = this.generateFallbackDailyOverview(pages);
-    }
+    onProgress('Loading the overview...');
+    const { overview: dailyOverview, stale } = await this.getCachedDayOverview({ date: targetDate, visits, pages });
+    onProgress('Following your browsing sessions...');
+    const sessions = await this.getDaySessions({ date: targetDate, visits, pages });
 
     return {
-      date: today,
+      date: targetDate,
+      isToday,
       totalPages: pages.length,
+      totalVisits: visits.length,
       summary: dailyOverview,
+      overviewStale: stale,
+      sessions,
       pages: this.flattenGroupedPages(groupedPages)
     };
   }
 
+  // One entry per URL with visit counts and first/last seen (see DayAggregator)
+  aggregateVisits(visits) {
+    return DayAggregator.aggregateVisits(visits, this.settings.get('taxonomy'));
+  }
+
   groupPagesByDomain(pages) {
     const grouped = {};
     
@@ -374,16 +1365,21 @@ Summary:`;
           };
         }
         
-        // Check if this is the main page (root path or minimal path)
-        if (path === '/' || path === '' || path.split('/').length <= 2) {
-          if (!grouped[domain].mainPage || new Date(page.timestamp) > new Date(grouped[domain].mainPage.timestamp)) {
-            grouped[domain].mainPage = page;
+        // Only the site's root is its main page; other pages (/about, /docs/intro) are sub-pages.
+        // When the root was opened with different query strings the latest one is the main page
+        // and the others are listed with the sub-pages rather than dropped.
+        const group = grouped[domain];
+        let subPage = page;
+        if (path === '/' || path === '') {
+          if (!group.mainPage || new Date(page.timestamp) > new Date(group.mainPage.timestamp)) {
+            subPage = group.mainPage;
+            group.mainPage = page;
           }
-        } else {
-          // This is a sub-page
-          grouped[domain].subPages.push({
-            ...page,
-            path: path
+        }
+        if (subPage) {
+          group.subPages.push({
+            ...subPage,
+            path: new URL(subPage.url).pathname
           });
         }
         
@@ -413,16 +1409,20 @@ Summary:`;
           ...group.mainPage,
           isMainPage: true,
           subPagesCount: group.subPages.length,
+          visitCount: group.mainPage.visitCount || 1,
+          // Visits across the whole site, including its sub-pages
+          siteVisitCount: group.subPages.reduce((sum, page) => sum + (page.visitCount || 1), group.mainPage.visitCount || 1),
           summary: group.mainPage.aiSummary || group.mainPage.fallbackSummary || 'No summary available'
         });
       }
       
-      // Add sub-pages with their individual timestamps
+      // Add sub-pages with their individual timestamps; without a main page they stand on their own
       group.subPages.forEach(subPage => {
         flattened.push({
           ...subPage,
-          isSubPage: true,
+          isSubPage: Boolean(group.mainPage),
           parentDomain: group.domain,
+          visitCount: subPage.visitCount || 1,
           summary: subPage.aiSummary || subPage.fallbackSummary || 'No summary available'
         });
       });
@@ -432,51 +1432,33 @@ Summary:`;
     return flattened.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
   }
 
-  async generateAIDailyOverview(pageSummaries, pageCount) {
-    const prompt = `Based on these ${pageCount} web page summaries from today, create a factual daily overview. Focus on:
+  async generateAIDailyOverview(pageSummaries, pageCount, dayLabel = 'today', { onText, signal } = {}) {
+    const prompt = `Based on these ${pageCount} web page summaries from ${dayLabel}, create a factual daily overview. Focus on:
 
 • Main domains visited and key activities
 • Types of content explored (news, videos, shopping, etc.)
 • Key topics or themes across the browsing session
 • Any notable patterns or insights
 
+Each summary is labelled with the time actively spent on that page. Give more weight to pages with more active time than to pages that were only opened briefly.
+
 Keep it factual and concise (3-4 sentences maximum). Avoid narrative style like "you started your day".
 
 ${pageSummaries}
 
 Daily Overview:`;
 
-    return await this.currentSession.prompt(prompt);
-  }
-
-  generateFallbackDailyOverview(pages) {
-    const categories = this.categorizePages(pages);
-    const categoryText = Object.entries(categories)
-      .map(([cat, count]) => `${count} ${cat} pages`)
-      .join(', ');
-    
-    return `Today you visited ${pages.length} pages. ${categoryText}.`;
+    return await this.summarizer.prompt(prompt, { onText, signal });
   }
 
-  categorizePages(pages) {
-    const categories = {};
-    pages.forEach(page => {
-      const domain = new URL(page.url).hostname;
-      let category = 'general';
-      
-      if (domain.includes('news') || domain.includes('blog')) category = 'news';
-      else if (domain.includes('social') || domain.includes('twitter') || domain.includes('facebook')) category = 'social';
-      else if (domain.includes('shopping') || domain.includes('amazon') || domain.includes('ebay')) category = 'shopping';
-      else if (domain.includes('work') || domain.includes('linkedin') || domain.includes('github')) category = 'work';
-      
-      categories[category] = (categories[category] || 0) + 1;
-    });
-    
-    return categories;
+  generateFallbackDailyOverview(pages, dayPrefix = 'Today') {
+    return DayAggregator.fallbackOverview(pages, dayPrefix, this.settings.get('taxonomy'));
   }
 
   async clearStoredData() {
-    await chrome.storage.local.remove(['webJourneyData']);
+    await this.historyStore.clearVisits();
+    await this.searchIndex.clear();
+    await this.clearSummaryCaches();
     console.log('All stored data cleared');
   }
 }
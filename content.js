@@ -2,36 +2,251 @@
 
 class PageContentExtractor {
   constructor() {
+    this.settings = new SettingsStore();
+    this.observer = null;
+    this.mutationTimeout = null;
+    this.engagement = { scrollDepth: 0, interactions: 0 };
+    this.engagementChanged = false;
+    this.routeUrl = window.location.href; // URL of the route the page is showing, for SPAs
+    this.routeTimeout = null;
+    // Each page gets one budget of extractions shared by all its routes, so an app that keeps
+    // changing route can't keep being re-read; what was last sent is remembered so unchanged or
+    // barely changed content isn't sent again
+    this.extraction = { count: 0, hash: null, signature: null };
     this.init();
   }
 
-  init() {
+  async init() {
     console.log('Page content extractor initialized');
     this.setupMessageListener();
     
+    await this.settings.load();
+    this.settings.onChange((settings, changedKeys) => this.handleSettingsChange(settings, changedKeys));
+    
     // Extract content after page load with a small delay
     setTimeout(() => {
       this.extractAndSendContent();
-    }, 2000);
+    }, this.settings.get('initialExtractionDelayMs'));
+    
+    // Also listen for dynamic content changes (for SPAs)
+    this.updateDynamicContentObserver();
+    
+    this.setupEngagementTracking();
+    this.setupNavigationTracking();
+  }
+
+  // Single-page apps change route without a page load; each route is recorded as its own visit
+  setupNavigationTracking() {
+    window.addEventListener(NAVIGATION_EVENT, () => this.handleLocationChange());
+    window.addEventListener('popstate', () => this.handleLocationChange());
+    window.addEventListener('hashchange', () => this.handleLocationChange());
+  }
+
+  handleLocationChange() {
+    // Anchor jumps and history updates that keep the route are part of the current visit
+    if (Navigation.isSameRoute(window.location.href, this.routeUrl)) return;
+    
+    // Engagement so far belongs to the route being left
+    this.sendEngagement();
+    this.routeUrl = window.location.href;
+    this.engagement = { scrollDepth: 0, interactions: 0 };
+    this.engagementChanged = false;
+    
+    // Site rules may treat the new route differently from the old one
+    this.updateDynamicContentObserver();
+    if (!this.isTracking()) return;
+    
+    try {
+      chrome.runtime.sendMessage({
+        action: 'routeChanged',
+        url: this.routeUrl,
+        title: document.title
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.log('Extension context invalidated, route change not sent:', chrome.runtime.lastError);
+        }
+      });
+    } catch (sendError) {
+      console.log('Failed to send route change to background script:', sendError);
+    }
+    
+    // The app renders the new route after the URL changes, so give it the same head start as a page load
+    clearTimeout(this.mutationTimeout);
+    clearTimeout(this.routeTimeout);
+    // The route's visit needs its content even when the page's budget is spent
+    this.routeTimeout = setTimeout(() => {
+      this.updateScrollDepth();
+      this.extractAndSendContent({ force: true });
+    }, this.settings.get('initialExtractionDelayMs'));
+  }
+
+  setupEngagementTracking() {
+    let lastInteractionAt = 0;
+    const recordInteraction = () => {
+      // Count bursts (e.g. typing) once per second rather than once per key
+      const now = Date.now();
+      if (now - lastInteractionAt < 1000) return;
+      lastInteractionAt = now;
+      
+      this.engagement.interactions++;
+      this.engagementChanged = true;
+    };
+    
+    ['click', 'keydown', 'copy'].forEach(type => {
+      document.addEventListener(type, recordInteraction, { capture: true, passive: true });
+    });
+    
+    let scrollTimeout = null;
+    window.addEventListener('scroll', () => {
+      clearTimeout(scrollTimeout);
+      scrollTimeout = setTimeout(() => this.updateScrollDepth(), 200);
+    }, { passive: true });
+    this.updateScrollDepth();
+    
+    // Report when the user leaves the page and periodically while it stays open
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.sendEngagement();
+      }
+    });
+    window.addEventListener('pagehide', () => this.sendEngagement());
+    setInterval(() => this.sendEngagement(), 15000);
+  }
+
+  updateScrollDepth() {
+    const scrollHeight = document.documentElement.scrollHeight || document.body?.scrollHeight || 0;
+    if (scrollHeight === 0) return;
+    
+    const depth = Math.min(100, ((window.scrollY + window.innerHeight) / scrollHeight) * 100);
+    if (depth > this.engagement.scrollDepth) {
+      this.engagement.scrollDepth = depth;
+      this.engagementChanged = true;
+    }
+  }
+
+  sendEngagement() {
+    if (!this.engagementChanged || !this.isTracking()) return;
+    this.engagementChanged = false;
+    
+    try {
+      chrome.runtime.sendMessage({
+        action: 'engagementUpdate',
+        data: { ...this.engagement, url: this.routeUrl }
+      }, () => {
+        if (chrome.runtime.lastError) {
+          console.log('Extension context invalidated, engagement not sent:', chrome.runtime.lastError);
+        }
+      });
+    } catch (sendError) {
+      console.log('Failed to send engagement to background script:', sendError);
+    }
+  }
+
+  // Excluded sites are never read, so their content doesn't leave the page
+  isTracking() {
+    return this.settings.get('trackingEnabled') &&
+      SiteRules.isTracked(window.location.href, this.settings.get('siteRules'), this.settings.get('siteRulesDefault'));
+  }
+
+  handleSettingsChange(settings, changedKeys) {
+    const trackingKeys = ['trackingEnabled', 'siteRules', 'siteRulesDefault'];
+    const trackingChanged = changedKeys.some(key => trackingKeys.includes(key));
+    
+    if (trackingChanged || changedKeys.some(key => ['watchDynamicContent', 'extractionBudget'].includes(key))) {
+      this.updateDynamicContentObserver();
+    }
+    
+    // Capture the current page straight away when tracking is switched back on
+    if (trackingChanged && this.isTracking()) {
+      this.extractAndSendContent();
+    }
+  }
+
+  hasExtractionBudget() {
+    return this.extraction.count < this.settings.get('extractionBudget');
+  }
+
+  updateDynamicContentObserver() {
+    const shouldWatch = this.isTracking() && this.settings.get('watchDynamicContent') && this.hasExtractionBudget();
+    
+    if (!shouldWatch) {
+      this.observer?.disconnect();
+      this.observer = null;
+      clearTimeout(this.mutationTimeout);
+      return;
+    }
+    
+    if (this.observer) return;
+    
+    try {
+      this.observer = new MutationObserver(() => {
+        // Debounce content extraction
+        clearTimeout(this.mutationTimeout);
+        this.mutationTimeout = setTimeout(() => {
+          this.extractAndSendContent();
+        }, this.settings.get('mutationDebounceMs'));
+      });
+
+      // Text edits inside existing nodes (clocks, counters, typing) are left out: they rarely
+      // change what a page is about and would keep the debounce from ever settling
+      this.observer.observe(document.body, {
+        childList: true,
+        subtree: true
+      });
+    } catch (error) {
+      console.log('MutationObserver not supported or failed:', error);
+    }
   }
 
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.action === 'extractPageContent') {
-        this.extractAndSendContent();
+        // The background starts a new visit on every load and needs its content
+        this.extractAndSendContent({ force: true });
         sendResponse({ success: true });
+      } else if (request.action === 'getPageContent') {
+        // Summaries requested from the popup read the page as it is now
+        if (!this.isTracking()) {
+          sendResponse(null);
+        } else {
+          this.extractPageContent().then(sendResponse, () => sendResponse(null));
+        }
       }
       return true;
     });
   }
 
-  async extractAndSendContent() {
+  async extractAndSendContent({ force = false } = {}) {
+    if (!this.isTracking()) return;
+    
+    if (!force && !this.hasExtractionBudget()) return;
+    this.extraction.count++;
+    
+    // Busy pages (feeds, chats, dashboards) stop being watched once their budget is spent
+    if (!this.hasExtractionBudget()) {
+      console.log('Extraction budget spent for this page, no longer watching for changes');
+      this.updateDynamicContentObserver();
+    }
+    
     try {
       const contentData = await this.extractPageContent();
       
       // Send content even if minimal - let background decide what to process
       // This ensures we capture all page visits
       if (contentData.content !== undefined) {
+        const hash = ContentFingerprint.hash(contentData.content);
+        if (!force && hash === this.extraction.hash) return;
+        
+        // Compared with what was last sent rather than the previous extraction, so many small
+        // edits still add up to a change worth sending
+        const signature = ContentFingerprint.signature(contentData.content);
+        if (!force && this.extraction.signature &&
+            ContentFingerprint.similarity(signature, this.extraction.signature) >= FINGERPRINT_RESEND_SIMILARITY) {
+          return;
+        }
+        this.extraction.hash = hash;
+        this.extraction.signature = signature;
+        
         try {
           chrome.runtime.sendMessage({
             action: 'pageContentExtracted',
@@ -54,10 +269,15 @@ class PageContentExtractor {
     // Wait for page to be fully loaded
     await this.waitForPageReady();
     
+    const { content, confidence, type, fields } = this.extractMainContent();
     const contentData = {
       title: this.extractTitle(),
-      content: this.extractMainContent(),
+      content,
+      confidence,
+      site: type ? { type, fields } : null,
       metadata: this.extractMetadata(),
+      url: window.location.href,
+      referrer: document.referrer,
       timestamp: new Date().toISOString()
     };
 
@@ -78,181 +298,9 @@ class PageContentExtractor {
     return document.title || '';
   }
 
+  // Known sites have their own extractors; everything else goes through the generic one
   extractMainContent() {
-    // Strategy 1: Try to find main content areas
-    const mainContentSelectors = [
-      'main',
-      'article',
-      '[role="main"]',
-      '.content',
-      '.main-content',
-      '.post-content',
-      '.article-content',
-      '.entry-content',
-      '.story-content',
-      '.news-content',
-      '.blog-content',
-      '#content',
-      '#main',
-      '#article',
-      '.video-content',
-      '.watch-content',
-      '.player-container',
-      '.ytd-watch-flexy',
-      '.ytd-rich-grid-renderer',
-      '.feed',
-      '.timeline',
-      '.stream'
-    ];
-
-    for (const selector of mainContentSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        const content = this.cleanTextContent(element);
-        if (content && content.length > 50) { // Lower threshold to capture more pages
-          return content;
-        }
-      }
-    }
-
-    // Strategy 2: Look for video-specific content (YouTube, etc.)
-    const videoContent = this.extractVideoContent();
-    if (videoContent) {
-      return videoContent;
-    }
-
-    // Strategy 3: Try common text containers
-    const textContainers = [
-      'p', 'div', 'section', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
-    ];
-    
-    let allText = '';
-    for (const tag of textContainers) {
-      const elements = document.querySelectorAll(tag);
-      for (const element of elements) {
-        const text = element.textContent?.trim() || '';
-        if (text.length > 50) { // Capture paragraphs and headings with meaningful content
-          allText += text + '\n\n';
-        }
-      }
-    }
-    
-    if (allText.length > 100) {
-      return allText.substring(0, 15000);
-    }
-
-    // Strategy 4: Fallback to body content, excluding navigation and ads
-    const body = document.body;
-    if (body) {
-      // Clone body to avoid modifying the original
-      const clone = body.cloneNode(true);
-      
-      // Remove unwanted elements
-      this.removeUnwantedElements(clone);
-      
-      const content = this.cleanTextContent(clone);
-      if (content && content.length > 50) {
-        return content;
-      }
-    }
-
-    // Strategy 5: Return at least the title and meta description
-    const metaDescription = this.getMetaContent('description');
-    const ogDescription = this.getMetaContent('og:description', 'property');
-    
-    const basicInfo = [
-      `Title: ${document.title}`,
-      metaDescription ? `Description: ${metaDescription}` : '',
-      ogDescription ? `OpenGraph: ${ogDescription}` : ''
-    ].filter(Boolean).join('\n\n');
-    
-    return basicInfo || 'Page content not available';
-  }
-
-  extractVideoContent() {
-    // Extract video-specific information
-    const videoElements = document.querySelectorAll('video, .video-player, .ytd-player, .html5-video-player');
-    if (videoElements.length > 0) {
-      const videoInfo = [];
-      
-      // Get video title
-      const videoTitle = document.querySelector('h1, .title, .ytd-video-primary-info-renderer h1')?.textContent || '';
-      if (videoTitle) {
-        videoInfo.push(`Video Title: ${videoTitle}`);
-      }
-      
-      // Get channel name
-      const channelName = document.querySelector('.ytd-channel-name a, .ytd-video-owner-renderer a, .uploader')?.textContent || '';
-      if (channelName) {
-        videoInfo.push(`Channel: ${channelName}`);
-      }
-      
-      // Get video description
-      const description = document.querySelector('#description, .ytd-video-secondary-info-renderer, .video-description')?.textContent || '';
-      if (description) {
-        videoInfo.push(`Description: ${description.substring(0, 200)}...`);
-      }
-      
-      // Get current page path to understand sub-domain navigation
-      const path = window.location.pathname;
-      const searchParams = new URLSearchParams(window.location.search);
-      
-      if (path.includes('/watch')) {
-        videoInfo.push(`Content Type: YouTube Video`);
-      } else if (path.includes('/channel')) {
-        videoInfo.push(`Content Type: YouTube Channel`);
-      } else if (path.includes('/results')) {
-        videoInfo.push(`Content Type: YouTube Search Results`);
-      } else if (path.includes('/playlist')) {
-        videoInfo.push(`Content Type: YouTube Playlist`);
-      }
-      
-      if (videoInfo.length > 0) {
-        return videoInfo.join('\n\n');
-      }
-    }
-    
-    return null;
-  }
-
-  removeUnwantedElements(element) {
-    const unwantedSelectors = [
-      'nav', 'header', 'footer', 'aside',
-      '.nav', '.navbar', '.header', '.footer', '.sidebar',
-      '.ad', '.advertisement', '.ads', '.banner',
-      '.menu', '.navigation', '.social',
-      'script', 'style', 'noscript', 'iframe'
-    ];
-
-    unwantedSelectors.forEach(selector => {
-      const elements = element.querySelectorAll(selector);
-      elements.forEach(el => el.remove());
-    });
-  }
-
-  isMeaningfulContent(element) {
-    const text = element.textContent || '';
-    const cleanText = text.replace(/\s+/g, ' ').trim();
-    return cleanText.length > 200; // At least 200 characters of meaningful content
-  }
-
-  cleanTextContent(element) {
-    if (!element) return '';
-    
-    let text = element.textContent || '';
-    
-    // Clean up the text
-    text = text
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .replace(/\n+/g, '\n') // Normalize newlines
-      .trim();
-    
-    // Remove very short lines (likely navigation items)
-    const lines = text.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 20); // Keep lines with at least 20 chars
-    
-    return lines.join('\n').substring(0, 15000); // Limit to 15k chars
+    return SiteExtractors.extract(document, window.location.href) || ContentExtractor.extract(document);
   }
 
   extractMetadata() {
@@ -277,23 +325,3 @@ class PageContentExtractor {
 
 // Initialize the content extractor when the script loads
 const pageExtractor = new PageContentExtractor();
-
-// Also listen for dynamic content changes (for SPAs)
-let observer;
-try {
-  observer = new MutationObserver(() => {
-    // Debounce content extraction
-    clearTimeout(window.contentExtractionTimeout);
-    window.contentExtractionTimeout = setTimeout(() => {
-      pageExtractor.extractAndSendContent();
-    }, 3000);
-  });
-
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true,
-    characterData: true
-  });
-} catch (error) {
-  console.log('MutationObserver not supported or failed:', error);
-}
@@ -0,0 +1,131 @@
+// Hour-by-hour activity for the popup's timeline: visits per hour from the pages' visit times,
+// stacked by topic or by site, drawn as an SVG bar chart
+
+const TIMELINE_HOURS = 24;
+
+// Sites beyond the busiest few share one "Other sites" colour
+const TIMELINE_TOP_DOMAINS = 5;
+const TIMELINE_DOMAIN_COLORS = ['#667eea', '#ed8936', '#38a169', '#d53f8c', '#319795'];
+const TIMELINE_OTHER_DOMAINS = 'Other sites';
+const TIMELINE_OTHER_COLOR = 'hsl(0, 0%, 70%)';
+
+const TIMELINE_WIDTH = 360;
+const TIMELINE_HEIGHT = 80;
+const TIMELINE_AXIS_HEIGHT = 12;
+
+class ActivityTimeline {
+  // Hour slot (0-23) of a timestamp in a day that starts at startHour
+  static slot(timestamp, startHour) {
+    return (new Date(timestamp).getHours() - startHour + TIMELINE_HOURS) % TIMELINE_HOURS;
+  }
+
+  static slotLabel(slot, startHour) {
+    return `${String((startHour + slot) % TIMELINE_HOURS).padStart(2, '0')}:00`;
+  }
+
+  // Each visit of a page counts in the hour it started; pages from before visit times were kept
+  // count once at their timestamp
+  static visitTimes(page) {
+    return page.visitTimes?.length ? page.visitTimes : [page.timestamp];
+  }
+
+  // colorBy is 'topic' or 'site'. Returns { hours, groups, max }, where hours[slot] is
+  // { total, counts: { group: visits } } and groups is [{ name, color, visits }] busiest first.
+  static build(pages, { startHour, colorBy }) {
+    const groupOf = colorBy === 'site'
+      ? ActivityTimeline.domainGroups(pages)
+      : (page) => page.category || OTHER_CATEGORY;
+
+    const hours = Array.from({ length: TIMELINE_HOURS }, () => ({ total: 0, counts: {} }));
+    const totals = {};
+    pages.forEach(page => {
+      const group = groupOf(page);
+      ActivityTimeline.visitTimes(page).forEach(timestamp => {
+        const hour = hours[ActivityTimeline.slot(timestamp, startHour)];
+        hour.total++;
+        hour.counts[group] = (hour.counts[group] || 0) + 1;
+        totals[group] = (totals[group] || 0) + 1;
+      });
+    });
+
+    const colors = colorBy === 'site' ? ActivityTimeline.domainColors(Object.keys(totals), totals) : null;
+    const groups = Object.entries(totals)
+      .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+      .map(([name, visits]) => ({ name, visits, color: colors ? colors[name] : TopicClassifier.color(name) }));
+
+    return { hours, groups, max: Math.max(1, ...hours.map(hour => hour.total)) };
+  }
+
+  // Maps a page to its site, or to "Other sites" past the busiest few
+  static domainGroups(pages) {
+    const counts = {};
+    pages.forEach(page => {
+      const domain = HistoryStore.extractDomain(page.url);
+      counts[domain] = (counts[domain] || 0) + ActivityTimeline.visitTimes(page).length;
+    });
+    const top = new Set(Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+      .slice(0, TIMELINE_TOP_DOMAINS));
+
+    return (page) => {
+      const domain = HistoryStore.extractDomain(page.url);
+      return top.has(domain) ? domain : TIMELINE_OTHER_DOMAINS;
+    };
+  }
+
+  static domainColors(names, totals) {
+    const colors = { [TIMELINE_OTHER_DOMAINS]: TIMELINE_OTHER_COLOR };
+    names
+      .filter(name => name !== TIMELINE_OTHER_DOMAINS)
+      .sort((a, b) => totals[b] - totals[a] || a.localeCompare(b))
+      .forEach((name, index) => {
+        colors[name] = TIMELINE_DOMAIN_COLORS[index % TIMELINE_DOMAIN_COLORS.length];
+      });
+    return colors;
+  }
+
+  // SVG markup for the chart; hours outside the selected window ({ from, to } slots, inclusive)
+  // are dimmed. Every bar carries data-slot so clicks can select its hour.
+  static render(timeline, { startHour, selection = null }) {
+    const slotWidth = TIMELINE_WIDTH / TIMELINE_HOURS;
+    const chartHeight = TIMELINE_HEIGHT - TIMELINE_AXIS_HEIGHT;
+    const colors = Object.fromEntries(timeline.groups.map(group => [group.name, group.color]));
+    const order = timeline.groups.map(group => group.name);
+    const escape = HistoryExporter.escapeHtml;
+
+    const bars = timeline.hours.map((hour, slot) => {
+      const x = slot * slotWidth;
+      const dimmed = selection && (slot < selection.from || slot > selection.to);
+      let y = chartHeight;
+      const segments = order
+        .filter(name => hour.counts[name])
+        .map(name => {
+          const height = hour.counts[name] / timeline.max * (chartHeight - 4);
+          y -= height;
+          return `<rect x="${x + 1}" y="${y.toFixed(1)}" width="${slotWidth - 2}" height="${height.toFixed(1)}" fill="${colors[name]}"><title>${escape(`${ActivityTimeline.slotLabel(slot, startHour)} · ${name}: ${hour.counts[name]} visit${hour.counts[name] === 1 ? '' : 's'}`)}</title></rect>`;
+        })
+        .join('');
+
+      // A full-height transparent target makes empty hours clickable too
+      return `<g data-slot="${slot}" opacity="${dimmed ? 0.25 : 1}">` +
+        `<rect x="${x}" y="0" width="${slotWidth}" height="${chartHeight}" fill="transparent"><title>${ActivityTimeline.slotLabel(slot, startHour)} · ${hour.total} visit${hour.total === 1 ? '' : 's'}</title></rect>` +
+        `${segments}</g>`;
+    }).join('');
+
+    const labels = Array.from({ length: TIMELINE_HOURS / 3 }, (_, index) => index * 3)
+      .map(slot => `<text x="${slot * slotWidth + 1}" y="${TIMELINE_HEIGHT - 2}" font-size="8" fill="#999">${ActivityTimeline.slotLabel(slot, startHour)}</text>`)
+      .join('');
+
+    return `<svg viewBox="0 0 ${TIMELINE_WIDTH} ${TIMELINE_HEIGHT}" width="100%" role="img" aria-label="Visits per hour">` +
+      `<line x1="0" y1="${chartHeight}" x2="${TIMELINE_WIDTH}" y2="${chartHeight}" stroke="#e2e2e2" stroke-width="1"/>` +
+      `${bars}${labels}</svg>`;
+  }
+
+  // Whether any visit of the page started inside the window
+  static inWindow(page, selection, startHour) {
+    return ActivityTimeline.visitTimes(page).some(timestamp => {
+      const slot = ActivityTimeline.slot(timestamp, startHour);
+      return slot >= selection.from && slot <= selection.to;
+    });
+  }
+}
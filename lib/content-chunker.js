@@ -0,0 +1,86 @@
+// Splits long page text into chunks that fit one model request, keeping sections together where
+// possible and cutting at paragraphs, then sentences, only when a section is too long
+
+const CHUNK_HEADING = /^\s*#{1,6}\s+(.*)$/;
+
+class ContentChunker {
+  // Returns [{ text, heading }] in page order. heading is the section the chunk starts in, so a
+  // chunk from the middle of a long section still knows where it came from.
+  static split(content, maxChars) {
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (current?.text.trim()) chunks.push({ text: current.text.trim(), heading: current.heading });
+      current = null;
+    };
+
+    ContentChunker.sections(content).forEach(section => {
+      if (current && current.text.length + section.text.length + 2 <= maxChars) {
+        current.text += `\n\n${section.text}`;
+        return;
+      }
+
+      flush();
+      if (section.text.length <= maxChars) {
+        current = { ...section };
+        return;
+      }
+
+      ContentChunker.pieces(section.text, maxChars).forEach(piece => {
+        if (current && current.text.length + piece.length + 1 <= maxChars) {
+          current.text += `\n${piece}`;
+        } else {
+          flush();
+          current = { text: piece, heading: section.heading };
+        }
+      });
+    });
+
+    flush();
+    return chunks;
+  }
+
+  // Runs of lines that start at a heading (or at the top of the page)
+  static sections(content) {
+    const sections = [];
+    String(content || '').split('\n').forEach(line => {
+      const heading = line.match(CHUNK_HEADING);
+      if (heading || sections.length === 0) {
+        sections.push({ heading: heading ? heading[1].trim() : '', lines: [] });
+      }
+      sections[sections.length - 1].lines.push(line);
+    });
+
+    return sections
+      .map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }))
+      .filter(section => section.text);
+  }
+
+  // Paragraphs no longer than maxChars: long ones are split between sentences, and sentences
+  // longer than a whole chunk are cut between words
+  static pieces(text, maxChars) {
+    return text.split('\n')
+      .filter(line => line.trim())
+      .flatMap(line => {
+        if (line.length <= maxChars) return [line];
+
+        const pieces = [];
+        let piece = '';
+        (line.match(/[^.!?]+(?:[.!?]+\s*|$)/g) || [line]).forEach(sentence => {
+          if (piece && piece.length + sentence.length > maxChars) {
+            pieces.push(piece.trim());
+            piece = '';
+          }
+          while (sentence.length > maxChars) {
+            const cut = sentence.lastIndexOf(' ', maxChars) > 0 ? sentence.lastIndexOf(' ', maxChars) : maxChars;
+            pieces.push(sentence.substring(0, cut).trim());
+            sentence = sentence.substring(cut);
+          }
+          piece += sentence;
+        });
+        if (piece.trim()) pieces.push(piece.trim());
+        return pieces;
+      });
+  }
+}
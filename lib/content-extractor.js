@@ -0,0 +1,320 @@
+// Finds the main content of a page by scoring blocks on text density, link density and paragraph
+// structure, and returns it as text that keeps headings and lists
+
+// Long pages are summarized in sections, so this only stops runaway pages (endless feeds, logs)
+const EXTRACTOR_MAX_CHARS = 100000;
+
+// Never part of the main content, wherever they appear
+const EXTRACTOR_REMOVE_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'button', 'select', 'textarea', 'input',
+  'nav', 'aside', 'footer', 'dialog',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[role="dialog"]',
+  '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// Class and id hints, as used by most content management systems
+const EXTRACTOR_NEGATIVE_PATTERN = /\bads?\b|advert|banner|breadcrumb|comment|cookie|footer|masthead|menu|modal|\bnav|newsletter|outbrain|pagination|popup|promo|related|share|sidebar|social|sponsor|subscribe|taboola|toolbar|widget/i;
+const EXTRACTOR_POSITIVE_PATTERN = /article|blog|body|content|entry|main|post|story|text/i;
+
+// Short lines that only ever label page furniture
+const EXTRACTOR_BOILERPLATE_TEXT = /^(advertisement|sponsored|share( this)?( article| post| page)?|related (articles|posts|stories)|read more|sign up|subscribe( now)?|follow us|skip to (main )?content)\b/i;
+
+const EXTRACTOR_BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Starting score of a candidate container by tag, before its paragraphs are counted
+const EXTRACTOR_TAG_WEIGHTS = {
+  article: 10, main: 10, section: 5, div: 5,
+  pre: 3, td: 3, blockquote: 3,
+  address: -3, ol: -3, ul: -3, dl: -3, dd: -3, dt: -3, li: -3, form: -3,
+  h1: -5, h2: -5, h3: -5, h4: -5, h5: -5, h6: -5, th: -5
+};
+
+// Characters per element below which a container is mostly markup (menus, cards, grids)
+const EXTRACTOR_MIN_TEXT_DENSITY = 20;
+
+class ContentExtractor {
+  // Returns { content, confidence, method }, where confidence (0-1) says how likely the text is the
+  // page's real content rather than navigation, listings or a bare description
+  static extract(doc) {
+    const body = doc.body?.cloneNode(true);
+    if (body) {
+      ContentExtractor.removeBoilerplate(body);
+
+      const elements = ContentExtractor.findMainContent(body);
+      if (elements) {
+        const result = ContentExtractor.build(elements, 'scored', ContentExtractor.hasContentHint(elements[0]));
+        if (result.content.length > 50) return result;
+      }
+
+      // No clear main block, e.g. app shells; the whole cleaned page is a weak guess
+      const result = ContentExtractor.build([body], 'body', false);
+      if (result.content.length > 50) {
+        return { ...result, confidence: ContentExtractor.round(result.confidence * 0.5) };
+      }
+    }
+
+    return { content: ContentExtractor.describeDocument(doc), confidence: 0, method: 'metadata' };
+  }
+
+  static normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  static round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  static hints(element) {
+    return `${element.className || ''} ${element.id || ''}`;
+  }
+
+  static hasContentHint(element) {
+    return Boolean(element.closest('article, main, [role="main"]')) ||
+      EXTRACTOR_POSITIVE_PATTERN.test(ContentExtractor.hints(element));
+  }
+
+  static removeBoilerplate(root) {
+    root.querySelectorAll(EXTRACTOR_REMOVE_SELECTOR).forEach(element => element.remove());
+
+    // A page header is furniture, an article's header holds its title and byline
+    root.querySelectorAll('header').forEach(element => {
+      if (!element.closest('article, main, [role="main"]')) element.remove();
+    });
+
+    root.querySelectorAll('[class], [id]').forEach(element => {
+      if (!root.contains(element)) return; // Already gone with an ancestor
+      if (['article', 'main', 'a'].includes(element.tagName.toLowerCase())) return;
+
+      const hints = ContentExtractor.hints(element);
+      // Some sites put layout words like "sidebar" on the wrapper of the whole page
+      if (EXTRACTOR_NEGATIVE_PATTERN.test(hints) && !EXTRACTOR_POSITIVE_PATTERN.test(hints) &&
+          !element.querySelector('article, main, [role="main"]')) {
+        element.remove();
+      }
+    });
+  }
+
+  static linkDensity(element) {
+    const textLength = ContentExtractor.normalizeText(element.textContent).length;
+    if (textLength === 0) return 0;
+
+    let linkLength = 0;
+    element.querySelectorAll('a').forEach(link => {
+      linkLength += ContentExtractor.normalizeText(link.textContent).length;
+    });
+    return Math.min(1, linkLength / textLength);
+  }
+
+  static textDensity(element) {
+    const textLength = ContentExtractor.normalizeText(element.textContent).length;
+    return textLength / (element.getElementsByTagName('*').length + 1);
+  }
+
+  static hasBlockChildren(element) {
+    return Array.from(element.children).some(child => EXTRACTOR_BLOCK_TAGS.has(child.tagName.toLowerCase()));
+  }
+
+  // Elements that hold running text: paragraphs, and divs used as paragraphs
+  static isParagraph(element) {
+    const tag = element.tagName.toLowerCase();
+    if (['p', 'pre', 'td', 'blockquote'].includes(tag)) return true;
+    return (tag === 'div' || tag === 'section') && !ContentExtractor.hasBlockChildren(element);
+  }
+
+  // Each paragraph scores its ancestors; the best container after discounting links and markup wins.
+  // Returns the container and any siblings that continue it, or null when nothing reads like prose.
+  static findMainContent(root) {
+    const scores = new Map();
+    const addScore = (element, score) => {
+      if (!scores.has(element)) {
+        const tag = element.tagName.toLowerCase();
+        const hints = ContentExtractor.hints(element);
+        let initial = EXTRACTOR_TAG_WEIGHTS[tag] || 0;
+        if (EXTRACTOR_POSITIVE_PATTERN.test(hints)) initial += 25;
+        if (EXTRACTOR_NEGATIVE_PATTERN.test(hints)) initial -= 25;
+        scores.set(element, initial);
+      }
+      scores.set(element, scores.get(element) + score);
+    };
+
+    root.querySelectorAll('*').forEach(element => {
+      if (!ContentExtractor.isParagraph(element)) return;
+
+      const text = ContentExtractor.normalizeText(element.textContent);
+      if (text.length < 25) return;
+
+      // Longer text with more clauses is more likely to be prose than a caption or label
+      const score = 1 + text.split(',').length + Math.min(3, Math.floor(text.length / 100));
+
+      let ancestor = element.parentElement;
+      for (let level = 0; ancestor && level < 3; level++) {
+        addScore(ancestor, score / (level === 0 ? 1 : level * 2));
+        if (ancestor === root) break;
+        ancestor = ancestor.parentElement;
+      }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const density = Math.min(1, ContentExtractor.textDensity(element) / EXTRACTOR_MIN_TEXT_DENSITY);
+      const finalScore = score * (1 - ContentExtractor.linkDensity(element)) * density;
+      scores.set(element, finalScore);
+      if (finalScore > bestScore) {
+        best = element;
+        bestScore = finalScore;
+      }
+    });
+
+    if (!best) return null;
+
+    // Articles are sometimes split across sibling containers (e.g. around an inline ad)
+    const parent = best.parentElement;
+    if (!parent || best === root) return [best];
+
+    const threshold = Math.max(10, bestScore * 0.2);
+    return Array.from(parent.children).filter(sibling => {
+      if (sibling === best) return true;
+      if ((scores.get(sibling) || 0) >= threshold) return true;
+
+      const text = ContentExtractor.normalizeText(sibling.textContent);
+      return sibling.tagName.toLowerCase() === 'p' && text.length > 80 && ContentExtractor.linkDensity(sibling) < 0.25;
+    });
+  }
+
+  static build(elements, method, hasHint) {
+    const blocks = [];
+    elements.forEach(element => ContentExtractor.collectBlocks(element, blocks, 0));
+
+    let content = '';
+    blocks.forEach((block, index) => {
+      if (index > 0) {
+        // List items stay on consecutive lines, everything else is a paragraph
+        content += block.type === 'item' && blocks[index - 1].type === 'item' ? '\n' : '\n\n';
+      }
+      content += block.text;
+    });
+
+    const paragraphs = blocks.filter(block => block.type === 'paragraph' && block.text.length >= 80).length;
+    const linkLengths = elements.reduce((sum, element) =>
+      sum + ContentExtractor.linkDensity(element) * ContentExtractor.normalizeText(element.textContent).length, 0);
+    const textLengths = elements.reduce((sum, element) => sum + ContentExtractor.normalizeText(element.textContent).length, 0);
+
+    return {
+      content: content.substring(0, EXTRACTOR_MAX_CHARS),
+      confidence: ContentExtractor.confidence({
+        textLength: content.length,
+        paragraphs,
+        linkDensity: textLengths > 0 ? linkLengths / textLengths : 0,
+        hasHint
+      }),
+      method
+    };
+  }
+
+  // Enough prose, split into paragraphs, inside a recognised content container and not mostly links
+  static confidence({ textLength, paragraphs, linkDensity, hasHint }) {
+    const length = Math.min(1, textLength / 1500);
+    const structure = Math.min(1, paragraphs / 5);
+    const hint = hasHint ? 1 : 0.5;
+    return ContentExtractor.round((0.5 * length + 0.3 * structure + 0.2 * hint) * (1 - linkDensity));
+  }
+
+  static isBoilerplateBlock(element, text) {
+    if (text.length < 40 && EXTRACTOR_BOILERPLATE_TEXT.test(text)) return true;
+    return text.length < 200 && ContentExtractor.linkDensity(element) > 0.5;
+  }
+
+  // Walks the tree in document order, turning block elements into headings, list items and
+  // paragraphs; inline content between blocks becomes a paragraph of its own
+  static collectBlocks(element, blocks, listDepth) {
+    let inline = '';
+    const flush = () => {
+      const text = ContentExtractor.normalizeText(inline);
+      if (text && !(text.length < 40 && EXTRACTOR_BOILERPLATE_TEXT.test(text))) {
+        blocks.push({ type: 'paragraph', text });
+      }
+      inline = '';
+    };
+
+    element.childNodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        inline += node.textContent;
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName.toLowerCase();
+      if (!EXTRACTOR_BLOCK_TAGS.has(tag)) {
+        inline += tag === 'br' ? ' ' : ` ${node.textContent} `;
+        return;
+      }
+
+      flush();
+      const text = ContentExtractor.normalizeText(node.textContent);
+      if (!text) return;
+
+      if (/^h[1-6]$/.test(tag)) {
+        blocks.push({ type: 'heading', text: `${'#'.repeat(Number(tag[1]))} ${text}` });
+      } else if (tag === 'ul' || tag === 'ol') {
+        // Link lists are menus and "related" boxes; lists of text are content
+        if (ContentExtractor.linkDensity(node) <= 0.5) {
+          ContentExtractor.collectList(node, blocks, listDepth);
+        }
+      } else if (tag === 'pre') {
+        blocks.push({ type: 'paragraph', text: node.textContent.trim() });
+      } else if (tag === 'tr' && !ContentExtractor.hasBlockChildren(node.children[0] || node)) {
+        const cells = Array.from(node.children).map(cell => ContentExtractor.normalizeText(cell.textContent));
+        blocks.push({ type: 'item', text: cells.filter(Boolean).join(' | ') });
+      } else if (ContentExtractor.hasBlockChildren(node)) {
+        ContentExtractor.collectBlocks(node, blocks, listDepth);
+      } else if (!ContentExtractor.isBoilerplateBlock(node, text)) {
+        blocks.push({ type: 'paragraph', text });
+      }
+    });
+
+    flush();
+  }
+
+  static collectList(list, blocks, depth) {
+    const ordered = list.tagName.toLowerCase() === 'ol';
+    const indent = '  '.repeat(depth);
+    let number = 0;
+
+    Array.from(list.children).forEach(item => {
+      if (item.tagName.toLowerCase() !== 'li') return;
+      number++;
+
+      // The item's own text, without the nested lists below it
+      const nested = Array.from(item.children).filter(child => ['ul', 'ol'].includes(child.tagName.toLowerCase()));
+      const text = ContentExtractor.normalizeText(Array.from(item.childNodes)
+        .filter(node => !nested.includes(node))
+        .map(node => node.textContent)
+        .join(' '));
+
+      if (text) {
+        blocks.push({ type: 'item', text: `${indent}${ordered ? `${number}.` : '-'} ${text}` });
+      }
+      nested.forEach(child => ContentExtractor.collectList(child, blocks, depth + 1));
+    });
+  }
+
+  // Last resort when the page has no readable text: its title and descriptions
+  static describeDocument(doc) {
+    const meta = (selector) => doc.querySelector(selector)?.getAttribute('content') || '';
+    const description = meta('meta[name="description"]');
+    const ogDescription = meta('meta[property="og:description"]');
+
+    const basicInfo = [
+      `Title: ${doc.title}`,
+      description ? `Description: ${description}` : '',
+      ogDescription ? `OpenGraph: ${ogDescription}` : ''
+    ].filter(Boolean).join('\n\n');
+
+    return basicInfo || 'Page content not available';
+  }
+}
@@ -0,0 +1,68 @@
+// Cheap fingerprints of page text: a hash to spot identical content and a MinHash signature to
+// estimate how much of it changed, used by the content script and the background worker
+
+const FINGERPRINT_SHINGLE_WORDS = 3;
+const FINGERPRINT_SIGNATURE_SIZE = 64;
+
+// Content that is at least this similar to what was last sent isn't sent again (clocks, counters,
+// "2 minutes ago" labels and the like)
+const FINGERPRINT_RESEND_SIMILARITY = 0.98;
+
+class ContentFingerprint {
+  // 32-bit FNV-1a
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    const value = String(text || '');
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Murmur3 finalizer; with a different seed per slot it gives the independent hash functions MinHash needs
+  static mix(value, seed) {
+    let hash = (value ^ seed) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    return (hash ^ (hash >>> 16)) >>> 0;
+  }
+
+  // Overlapping runs of words, hashed; word order matters but whitespace and case don't
+  static shingles(text) {
+    const words = String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length <= FINGERPRINT_SHINGLE_WORDS) {
+      return new Set(words.length > 0 ? [ContentFingerprint.hash(words.join(' '))] : []);
+    }
+
+    const shingles = new Set();
+    for (let i = 0; i <= words.length - FINGERPRINT_SHINGLE_WORDS; i++) {
+      shingles.add(ContentFingerprint.hash(words.slice(i, i + FINGERPRINT_SHINGLE_WORDS).join(' ')));
+    }
+    return shingles;
+  }
+
+  // The smallest shingle hash under each hash function. The share of slots two signatures agree
+  // on estimates the Jaccard similarity of their shingle sets.
+  static signature(text) {
+    const signature = new Array(FINGERPRINT_SIGNATURE_SIZE).fill(0xffffffff);
+    ContentFingerprint.shingles(text).forEach(shingle => {
+      for (let slot = 0; slot < FINGERPRINT_SIGNATURE_SIZE; slot++) {
+        const value = ContentFingerprint.mix(shingle, Math.imul(slot + 1, 0x9e3779b9));
+        if (value < signature[slot]) signature[slot] = value;
+      }
+    });
+    return signature;
+  }
+
+  // 0 (nothing in common) to 1 (same content); signatures of different sizes never match
+  static similarity(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 0;
+
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) matches++;
+    }
+    return matches / a.length;
+  }
+}
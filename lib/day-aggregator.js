@@ -0,0 +1,114 @@
+// Turns a day's visit log into per-URL pages and the overview shown when no model can write one.
+// Shared by the background worker and the popup, which reads the database directly when the
+// worker doesn't answer.
+
+class DayAggregator {
+  // Collapses a day's visit log into one entry per URL with visit counts and first/last seen
+  static aggregateVisits(visits, taxonomy) {
+    const byUrl = {};
+
+    [...visits]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach(visit => {
+        if (!byUrl[visit.url]) {
+          byUrl[visit.url] = [];
+        }
+        byUrl[visit.url].push(visit);
+      });
+
+    return Object.values(byUrl).map(urlVisits => {
+      const first = urlVisits[0];
+      const last = urlVisits[urlVisits.length - 1];
+      // Content and summaries come from the latest visit that captured any
+      const latestWithContent = [...urlVisits].reverse().find(visit => visit.contentHash) || last;
+      const title = last.title || latestWithContent.title;
+
+      return {
+        ...latestWithContent,
+        title,
+        timestamp: last.timestamp,
+        firstSeen: first.timestamp,
+        lastSeen: last.timestamp,
+        visitCount: urlVisits.length,
+        visitTimes: urlVisits.map(visit => visit.timestamp),
+        // Engagement adds up across visits, except scroll depth which is the deepest reached
+        activeMs: urlVisits.reduce((sum, visit) => sum + (visit.activeMs || 0), 0),
+        scrollDepth: Math.max(...urlVisits.map(visit => visit.scrollDepth || 0)),
+        interactions: urlVisits.reduce((sum, visit) => sum + (visit.interactions || 0), 0),
+        category: TopicClassifier.resolve({ ...latestWithContent, title }, taxonomy)
+      };
+    });
+  }
+
+  static fallbackOverview(pages, dayPrefix, taxonomy) {
+    const categories = DayAggregator.categorize(pages, taxonomy);
+    const totalActiveMs = pages.reduce((sum, page) => sum + (page.activeMs || 0), 0);
+
+    // Ordered by time actually spent, falling back to page counts when nothing was measured
+    const categoryText = Object.entries(categories)
+      .sort(([, a], [, b]) => b.activeMs - a.activeMs || b.pages - a.pages)
+      .map(([cat, stats]) => stats.activeMs > 0
+        ? `${DayAggregator.formatDuration(stats.activeMs)} on ${cat} (${stats.pages} pages)`
+        : `${stats.pages} ${cat} pages`)
+      .join(', ');
+
+    const activeText = totalActiveMs > 0 ? ` and spent ${DayAggregator.formatDuration(totalActiveMs)} actively browsing` : '';
+    const parts = [`${dayPrefix} you visited ${pages.length} pages${activeText}. ${categoryText}.`];
+
+    const themes = DayAggregator.themes(pages);
+    if (themes.length > 0) {
+      parts.push(`Main themes: ${themes.join(', ')}.`);
+    }
+
+    // The page with the most active time, described by the first sentence of its summary
+    const focus = [...pages]
+      .filter(page => page.activeMs > 0 && (page.aiSummary || page.fallbackSummary))
+      .sort((a, b) => b.activeMs - a.activeMs)[0];
+    if (focus) {
+      const firstSentence = (focus.aiSummary || focus.fallbackSummary).replace(/[*#]/g, '').match(/[^.!?]+[.!?]?/)[0].trim();
+      parts.push(`Most time went to "${focus.title || HistoryStore.extractDomain(focus.url)}": ${firstSentence}`);
+    }
+
+    return parts.join(' ');
+  }
+
+  // Keyword tags that recur across the day's pages, weighted by the time spent on each page
+  static themes(pages, count = 5) {
+    const weights = {};
+    pages.forEach(page => {
+      const weight = 1 + (page.activeMs || 0) / 60000;
+      // Each page lists its strongest keyword first
+      (page.keywords || []).forEach((keyword, rank) => {
+        weights[keyword] = (weights[keyword] || 0) + weight / (1 + rank * 0.2);
+      });
+    });
+
+    return Object.entries(weights)
+      .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+      .slice(0, count)
+      .map(([keyword]) => keyword);
+  }
+
+  // Page count and active time per topic
+  static categorize(pages, taxonomy) {
+    const categories = {};
+    pages.forEach(page => {
+      const category = page.category || TopicClassifier.resolve(page, taxonomy);
+
+      if (!categories[category]) {
+        categories[category] = { pages: 0, activeMs: 0 };
+      }
+      categories[category].pages++;
+      categories[category].activeMs += page.activeMs || 0;
+    });
+
+    return categories;
+  }
+
+  static formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+}
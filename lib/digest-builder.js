@@ -0,0 +1,143 @@
+// Rolls day overviews and page statistics up into digests covering a week or any date range
+
+const DIGEST_TOP_DOMAINS = 5;
+const DIGEST_MAX_THEMES = 8;
+
+// Title words that say little about what a page is about
+const DIGEST_THEME_STOP_WORDS = new Set([
+  'about', 'after', 'all', 'also', 'best', 'but', 'can', 'com', 'free', 'get', 'home', 'how',
+  'into', 'just', 'login', 'more', 'new', 'not', 'official', 'one', 'online', 'our', 'out',
+  'page', 'search', 'sign', 'site', 'than', 'what', 'when', 'where', 'which', 'who', 'why'
+]);
+
+class DigestBuilder {
+  // days: [{ date, pages }] with pages collapsed per URL and carrying a category
+  static computeStats(days, previousDays = []) {
+    const domains = {};
+    const topics = {};
+    let totalPages = 0;
+    let totalVisits = 0;
+    let totalActiveMs = 0;
+
+    days.forEach(day => {
+      day.pages.forEach(page => {
+        totalPages++;
+        totalVisits += page.visitCount || 1;
+        totalActiveMs += page.activeMs || 0;
+
+        const domain = HistoryStore.extractDomain(page.url);
+        domains[domain] = domains[domain] || { domain, pages: 0, visits: 0, activeMs: 0 };
+        domains[domain].pages++;
+        domains[domain].visits += page.visitCount || 1;
+        domains[domain].activeMs += page.activeMs || 0;
+
+        const category = page.category || OTHER_CATEGORY;
+        topics[category] = topics[category] || { category, days: new Set(), pages: 0, activeMs: 0 };
+        topics[category].days.add(day.date);
+        topics[category].pages++;
+        topics[category].activeMs += page.activeMs || 0;
+      });
+    });
+
+    const topDomains = Object.values(domains)
+      .sort((a, b) => b.activeMs - a.activeMs || b.visits - a.visits)
+      .slice(0, DIGEST_TOP_DOMAINS);
+
+    // A topic recurs when it came up on more than one day of the range
+    const recurringTopics = Object.values(topics)
+      .filter(topic => topic.days.size > 1 && topic.category !== OTHER_CATEGORY)
+      .sort((a, b) => b.days.size - a.days.size || b.activeMs - a.activeMs)
+      .map(topic => ({ category: topic.category, days: topic.days.size, pages: topic.pages, activeMs: topic.activeMs }));
+
+    return {
+      days: days.length,
+      totalPages,
+      totalVisits,
+      totalActiveMs,
+      topDomains,
+      recurringTopics,
+      newThemes: DigestBuilder.findNewThemes(days, previousDays)
+    };
+  }
+
+  // Distinct pages per title word, ignoring words that are just the site's own name
+  static countThemes(days) {
+    const counts = new Map();
+
+    days.forEach(day => {
+      day.pages.forEach(page => {
+        const domainWords = new Set(SearchIndex.tokenize(HistoryStore.extractDomain(page.url)));
+        const words = new Set(SearchIndex.tokenize(page.title).filter(word =>
+          word.length > 3 && !/^\d+$/.test(word) && !DIGEST_THEME_STOP_WORDS.has(word) && !domainWords.has(word)));
+
+        words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+      });
+    });
+
+    return counts;
+  }
+
+  // Words that came up on several pages in the range but never in the period before it
+  static findNewThemes(days, previousDays) {
+    const current = DigestBuilder.countThemes(days);
+    const previous = DigestBuilder.countThemes(previousDays);
+
+    return [...current.entries()]
+      .filter(([word, count]) => count > 1 && !previous.has(word))
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, DIGEST_MAX_THEMES)
+      .map(([theme, pages]) => ({ theme, pages }));
+  }
+
+  // Changes whenever a page is added or updated on any day of the range
+  static signature(days) {
+    return days.map(day => {
+      const lastUpdated = Math.max(0, ...day.visits.map(visit => new Date(visit.lastUpdated || visit.timestamp).getTime()));
+      return `${day.date}:${day.visits.length}:${lastUpdated}`;
+    }).join('|');
+  }
+
+  static describeStats(stats) {
+    const lines = [];
+    if (stats.topDomains.length > 0) {
+      lines.push(`Top sites: ${stats.topDomains.map(domain => `${domain.domain} (${domain.visits} visit${domain.visits === 1 ? '' : 's'}${domain.activeMs > 0 ? `, ${DayAggregator.formatDuration(domain.activeMs)}` : ''})`).join(', ')}`);
+    }
+    if (stats.recurringTopics.length > 0) {
+      lines.push(`Recurring topics: ${stats.recurringTopics.map(topic => `${topic.category} (${topic.days} days)`).join(', ')}`);
+    }
+    if (stats.newThemes.length > 0) {
+      lines.push(`New this period: ${stats.newThemes.map(theme => theme.theme).join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  // Second level of the hierarchy: the model only sees day overviews, never raw pages
+  static buildPrompt(dayOverviews, stats, rangeLabel, charLimit) {
+    const perDayLimit = Math.max(200, Math.floor(charLimit / Math.max(1, dayOverviews.length)));
+    const overviews = dayOverviews
+      .map(day => `${day.date}:\n${day.overview.substring(0, perDayLimit)}`)
+      .join('\n\n');
+
+    return `Below are daily overviews of web browsing ${rangeLabel}, followed by statistics for the whole period. Write a factual digest of the period in 4-6 sentences:
+
+• The main themes and how they developed across the days
+• Topics that kept coming back
+• Anything new that started during this period
+
+Avoid narrative style like "you started your week". Don't list every day separately.
+
+${DigestBuilder.describeStats(stats)}
+
+Daily overviews:
+${overviews}
+
+Digest:`;
+  }
+
+  static fallbackOverview(stats, rangeLabel) {
+    const activeText = stats.totalActiveMs > 0 ? ` and ${DayAggregator.formatDuration(stats.totalActiveMs)} of active browsing` : '';
+    const summary = `${rangeLabel} you visited ${stats.totalPages} pages over ${stats.days} day${stats.days === 1 ? '' : 's'}${activeText}.`;
+    const details = DigestBuilder.describeStats(stats);
+    return details ? `${summary}\n${details}` : summary;
+  }
+}
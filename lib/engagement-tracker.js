@@ -0,0 +1,101 @@
+// Measures foreground time per visit from tab activation, window focus and idle state
+
+const ENGAGEMENT_IDLE_SECONDS = 60;
+
+class EngagementTracker {
+  // getVisitId(tabId) maps a tab to the visit it is showing; addActiveTime(visitId, ms) stores time
+  constructor({ getVisitId, addActiveTime }) {
+    this.getVisitId = getVisitId;
+    this.addActiveTime = addActiveTime;
+    this.state = {
+      activeTabId: null,
+      windowFocused: true,
+      idleState: 'active',
+      segmentStart: null
+    };
+    this.flushing = Promise.resolve();
+  }
+
+  // Listeners are attached right away so no event is missed when the worker wakes up; their
+  // transitions queue up behind restoring the saved segment and ready (e.g. tabs being mapped
+  // to visits)
+  init(ready = Promise.resolve()) {
+    this.flushing = Promise.all([ready, this.restoreState()]).catch((error) => {
+      console.warn('Failed to restore engagement state:', error);
+    });
+
+    chrome.idle.setDetectionInterval(ENGAGEMENT_IDLE_SECONDS);
+
+    chrome.tabs.onActivated.addListener(({ tabId }) => {
+      this.transition({ activeTabId: tabId });
+    });
+
+    chrome.windows.onFocusChanged.addListener(async (windowId) => {
+      if (windowId === chrome.windows.WINDOW_ID_NONE) {
+        this.transition({ windowFocused: false });
+        return;
+      }
+
+      const [activeTab] = await chrome.tabs.query({ active: true, windowId });
+      this.transition({ windowFocused: true, activeTabId: activeTab?.id ?? this.state.activeTabId });
+    });
+
+    chrome.idle.onStateChanged.addListener((idleState) => {
+      this.transition({ idleState });
+    });
+  }
+
+  // The running segment is kept in session storage so time isn't lost when the worker sleeps
+  async restoreState() {
+    const result = await chrome.storage.session.get(['engagementState']);
+    if (result.engagementState) {
+      this.state = result.engagementState;
+    } else {
+      const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      this.state.activeTabId = activeTab?.id ?? null;
+      this.state.segmentStart = Date.now();
+      await this.saveState();
+    }
+  }
+
+  isCounting() {
+    return this.state.activeTabId !== null && this.state.windowFocused && this.state.idleState === 'active';
+  }
+
+  // Credits the running segment to the current visit and starts a new one with the given changes
+  transition(changes = {}) {
+    this.flushing = this.flushing.then(async () => {
+      const now = Date.now();
+
+      if (this.isCounting() && this.state.segmentStart) {
+        const visitId = this.getVisitId(this.state.activeTabId);
+        const elapsed = now - this.state.segmentStart;
+
+        if (visitId && elapsed > 0) {
+          try {
+            await this.addActiveTime(visitId, elapsed);
+          } catch (error) {
+            console.warn('Failed to record active time:', error);
+          }
+        }
+      }
+
+      this.state = { ...this.state, ...changes, segmentStart: now };
+      await this.saveState();
+    }).catch((error) => {
+      // Caught here so one failed save doesn't reject every later transition
+      console.warn('Failed to save engagement state:', error);
+    });
+
+    return this.flushing;
+  }
+
+  // Records time up to now without changing state, e.g. before showing a summary
+  flush() {
+    return this.transition();
+  }
+
+  async saveState() {
+    await chrome.storage.session.set({ engagementState: this.state });
+  }
+}
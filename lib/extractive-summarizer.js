@@ -0,0 +1,155 @@
+// Offline summaries without a language model: TextRank over the page's sentences, boosted by
+// the words in the title and description, and keyword tags from the same word statistics
+
+const EXTRACTIVE_SUMMARY_SENTENCES = 3;
+const EXTRACTIVE_KEYWORD_COUNT = 5;
+
+// Ranking is quadratic in the number of sentences, so very long pages are cut off here
+const EXTRACTIVE_MAX_SENTENCES = 150;
+
+const EXTRACTIVE_MIN_SENTENCE_WORDS = 6;
+const EXTRACTIVE_MAX_SENTENCE_CHARS = 400;
+
+const EXTRACTIVE_DAMPING = 0.85;
+const EXTRACTIVE_ITERATIONS = 30;
+
+const EXTRACTIVE_STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even', 'every', 'few',
+  'for', 'from', 'further', 'get', 'gets', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here',
+  'hers', 'him', 'his', 'how', 'however', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+  'like', 'made', 'make', 'many', 'may', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'new',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'ours',
+  'out', 'over', 'own', 'same', 'say', 'said', 'says', 'see', 'she', 'should', 'since', 'so', 'some',
+  'still', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them', 'then', 'there', 'these', 'they',
+  'this', 'those', 'through', 'to', 'too', 'two', 'under', 'until', 'up', 'us', 'use', 'used', 'using',
+  'very', 'via', 'was', 'way', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+  'whom', 'why', 'will', 'with', 'within', 'without', 'would', 'yet', 'you', 'your', 'yours',
+  'click', 'com', 'html', 'http', 'https', 'page', 'read', 'www'
+]);
+
+// Sentences that are almost always site furniture rather than content
+const EXTRACTIVE_BOILERPLATE = /\b(cookies?|consent|privacy policy|terms of (use|service)|sign (in|up)|log ?in|subscribe|newsletter|all rights reserved|copyright|javascript|your browser|advertisement|skip to)\b/i;
+
+class ExtractiveSummarizer {
+  // Lowercased content words
+  static tokens(text) {
+    return String(text || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2 && !EXTRACTIVE_STOP_WORDS.has(word) && !/^\d+$/.test(word));
+  }
+
+  // A trailing plural "s" is dropped so "model" and "models" count as the same word
+  static stem(word) {
+    return word.length > 4 && /[^sui]s$/.test(word) ? word.slice(0, -1) : word;
+  }
+
+  static words(text) {
+    return ExtractiveSummarizer.tokens(text).map(ExtractiveSummarizer.stem);
+  }
+
+  // Paragraph lines from the extractor, split into sentences. Headings, list items and table rows
+  // describe the page but aren't sentences a summary can quote.
+  static sentences(content) {
+    return String(content || '')
+      .split('\n')
+      .filter(line => line.trim() && !/^\s*(#{1,6}|[-*]|\d+\.)\s/.test(line) && !line.includes(' | '))
+      .flatMap(line => line.match(/[^.!?]+(?:[.!?]+["')\]]*|$)/g) || [])
+      .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+      .filter(sentence => sentence.length <= EXTRACTIVE_MAX_SENTENCE_CHARS &&
+        sentence.split(' ').length >= EXTRACTIVE_MIN_SENTENCE_WORDS)
+      .slice(0, EXTRACTIVE_MAX_SENTENCES);
+  }
+
+  // Shared content words, normalized so long sentences don't win just by being long (TextRank)
+  static overlap(a, b) {
+    if (a.size < 2 || b.size < 2) return 0;
+
+    let shared = 0;
+    a.forEach(word => {
+      if (b.has(word)) shared++;
+    });
+    return shared / (Math.log(a.size) + Math.log(b.size));
+  }
+
+  // PageRank over the sentence similarity graph
+  static rank(wordSets) {
+    const count = wordSets.length;
+    const weights = wordSets.map((words, i) => wordSets.map((other, j) => (i === j ? 0 : ExtractiveSummarizer.overlap(words, other))));
+    const totals = weights.map(row => row.reduce((sum, weight) => sum + weight, 0));
+
+    let scores = new Array(count).fill(1);
+    for (let iteration = 0; iteration < EXTRACTIVE_ITERATIONS; iteration++) {
+      scores = scores.map((score, i) => {
+        let incoming = 0;
+        for (let j = 0; j < count; j++) {
+          if (weights[j][i] > 0) incoming += weights[j][i] / totals[j] * scores[j];
+        }
+        return 1 - EXTRACTIVE_DAMPING + EXTRACTIVE_DAMPING * incoming;
+      });
+    }
+    return scores;
+  }
+
+  // hints: { title, description } of the page; sentences sharing their words are what the page is about
+  // Returns { summary, keywords }
+  static summarize(content, { title = '', description = '', sentences: limit = EXTRACTIVE_SUMMARY_SENTENCES } = {}) {
+    const sentences = ExtractiveSummarizer.sentences(content);
+    const hintWords = new Set(ExtractiveSummarizer.words(`${title} ${description}`));
+    const keywords = ExtractiveSummarizer.keywords(content, hintWords);
+
+    if (sentences.length === 0) {
+      return { summary: ExtractiveSummarizer.truncate(String(content || '').replace(/\s+/g, ' ').trim()), keywords };
+    }
+
+    const wordSets = sentences.map(sentence => new Set(ExtractiveSummarizer.words(sentence)));
+    const ranks = ExtractiveSummarizer.rank(wordSets);
+
+    const scored = sentences.map((sentence, i) => {
+      const words = wordSets[i];
+      const hintHits = [...words].filter(word => hintWords.has(word)).length;
+      let score = ranks[i] * (1 + hintHits / Math.max(hintWords.size, 1));
+      // Opening sentences usually state the topic
+      score *= 1 + 0.3 / (1 + i);
+      if (EXTRACTIVE_BOILERPLATE.test(sentence)) score *= 0.1;
+      return { sentence, index: i, score };
+    });
+
+    const chosen = scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .sort((a, b) => a.index - b.index)
+      .map(({ sentence }) => (/[.!?]["')\]]*$/.test(sentence) ? sentence : `${sentence}.`));
+
+    return { summary: chosen.join(' '), keywords };
+  }
+
+  // Most frequent content words, with words from the title and description counting extra.
+  // Shown as tags in the spelling the page uses most.
+  static keywords(content, hintWords = new Set(), count = EXTRACTIVE_KEYWORD_COUNT) {
+    const frequencies = {};
+    const spellings = {};
+    ExtractiveSummarizer.tokens(content).forEach(token => {
+      const word = ExtractiveSummarizer.stem(token);
+      frequencies[word] = (frequencies[word] || 0) + 1;
+      spellings[word] = spellings[word] || {};
+      spellings[word][token] = (spellings[word][token] || 0) + 1;
+    });
+    // Only words the content uses, so a site name in the title doesn't become a tag on its own
+    hintWords.forEach(word => {
+      if (frequencies[word]) frequencies[word] += 3;
+    });
+
+    return Object.entries(frequencies)
+      .filter(([, frequency]) => frequency > 1)
+      .sort(([a, x], [b, y]) => y - x || a.localeCompare(b))
+      .slice(0, count)
+      .map(([word]) => Object.entries(spellings[word]).sort(([, x], [, y]) => y - x)[0][0]);
+  }
+
+  static truncate(text, maxLength = 300) {
+    return text.length > maxLength ? `${text.substring(0, maxLength).replace(/\s+\S*$/, '')}...` : text;
+  }
+}
@@ -0,0 +1,31 @@
+// arXiv paper abstract pages
+
+SiteExtractors.register({
+  type: 'arxiv-paper',
+  label: 'arXiv paper',
+  focus: 'the research question, the method and the main result from the abstract',
+  matches: /^arxiv\.org\/abs\//,
+  fields: {
+    arxivId: 'string',
+    title: 'string',
+    authors: 'array',
+    submitted: 'string',
+    subjects: 'string',
+    abstract: 'string'
+  },
+
+  // The citation_* meta tags are kept stable for reference managers, unlike the page layout
+  extract(doc, url) {
+    return {
+      arxivId: new URL(url).pathname.replace(/^\/abs\//, ''),
+      title: SiteExtractors.meta(doc, 'citation_title') || SiteExtractors.text(doc, 'h1.title').replace(/^Title:\s*/, ''),
+      authors: Array.from(doc.querySelectorAll('meta[name="citation_author"]'))
+        .map(meta => meta.getAttribute('content')?.trim())
+        .filter(Boolean),
+      submitted: SiteExtractors.meta(doc, 'citation_date'),
+      subjects: SiteExtractors.text(doc, 'td.subjects, .tablecell.subjects'),
+      abstract: SiteExtractors.meta(doc, 'citation_abstract') ||
+        SiteExtractors.text(doc, 'blockquote.abstract').replace(/^Abstract:\s*/, '')
+    };
+  }
+});
@@ -0,0 +1,38 @@
+// GitHub repository home pages
+
+// First path segments that are GitHub's own pages rather than user or organisation names
+const GITHUB_RESERVED_OWNERS = [
+  'about', 'collections', 'enterprise', 'explore', 'features', 'issues', 'login', 'marketplace', 'new',
+  'notifications', 'orgs', 'organizations', 'pricing', 'pulls', 'search', 'settings', 'sponsors', 'topics', 'trending'
+];
+
+SiteExtractors.register({
+  type: 'github-repo',
+  label: 'GitHub repository',
+  focus: 'what the project does, what it is built with and how it is used',
+  matches: /^github\.com\/[\w.-]+\/[\w.-]+\/?$/,
+  fields: {
+    repository: 'string',
+    description: 'string',
+    languages: 'array',
+    stars: 'number',
+    topics: 'array',
+    readme: 'string'
+  },
+
+  extract(doc, url) {
+    const [owner, name] = new URL(url).pathname.split('/').filter(Boolean);
+    if (GITHUB_RESERVED_OWNERS.includes(owner.toLowerCase())) return null;
+
+    const starCounter = doc.querySelector('#repo-stars-counter-star');
+
+    return {
+      repository: `${owner}/${name}`,
+      description: SiteExtractors.text(doc, '.BorderGrid-cell p.f4') || SiteExtractors.meta(doc, 'og:description'),
+      languages: SiteExtractors.texts(doc, '.BorderGrid-cell a[href*="search?l="] .text-bold').slice(0, 5),
+      stars: SiteExtractors.number(starCounter?.getAttribute('title') || starCounter?.textContent),
+      topics: SiteExtractors.texts(doc, 'a.topic-tag'),
+      readme: SiteExtractors.structuredText(doc.querySelector('#readme article.markdown-body, article.markdown-body'))
+    };
+  }
+});
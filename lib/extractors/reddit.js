@@ -0,0 +1,45 @@
+// Reddit comment threads
+
+const REDDIT_TOP_COMMENTS = 5;
+
+SiteExtractors.register({
+  type: 'reddit-thread',
+  label: 'Reddit thread',
+  focus: 'what the post asks or shares and the main opinions in the top comments',
+  matches: /^((new|old)\.)?reddit\.com\/r\/[^/]+\/comments\//,
+  fields: {
+    subreddit: 'string',
+    title: 'string',
+    author: 'string',
+    score: 'number',
+    text: 'string',
+    commentCount: 'number',
+    topComments: 'array'
+  },
+
+  extract(doc, url) {
+    const post = doc.querySelector('shreddit-post');
+    if (!post) return null;
+
+    // Replies are left out: the top-level comments carry the discussion
+    const topComments = Array.from(doc.querySelectorAll('shreddit-comment[depth="0"]'))
+      .map(comment => ({
+        author: comment.getAttribute('author') || '',
+        score: SiteExtractors.number(comment.getAttribute('score')) || 0,
+        text: SiteExtractors.text(comment, '[slot="comment"]').substring(0, 500)
+      }))
+      .filter(comment => comment.text)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, REDDIT_TOP_COMMENTS);
+
+    return {
+      subreddit: post.getAttribute('subreddit-prefixed-name') || `r/${new URL(url).pathname.split('/')[2]}`,
+      title: post.getAttribute('post-title') || SiteExtractors.text(post, '[slot="title"]'),
+      author: post.getAttribute('author'),
+      score: SiteExtractors.number(post.getAttribute('score')),
+      text: SiteExtractors.structuredText(post.querySelector('[slot="text-body"]')),
+      commentCount: SiteExtractors.number(post.getAttribute('comment-count')),
+      topComments
+    };
+  }
+});
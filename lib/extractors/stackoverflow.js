@@ -0,0 +1,38 @@
+// Questions on Stack Overflow and the other Stack Exchange sites
+
+SiteExtractors.register({
+  type: 'stackexchange-question',
+  label: 'Stack Exchange question',
+  focus: 'the problem being asked and the solution given in the accepted or top answer',
+  matches: /^(stackoverflow\.com|superuser\.com|serverfault\.com|askubuntu\.com|mathoverflow\.net|[\w-]+\.stackexchange\.com)\/questions\/\d+/,
+  fields: {
+    title: 'string',
+    tags: 'array',
+    score: 'number',
+    question: 'string',
+    answerCount: 'number',
+    acceptedAnswer: 'string',
+    topAnswer: 'string'
+  },
+
+  extract(doc, url) {
+    const question = doc.querySelector('#question');
+    if (!question) return null;
+
+    const answers = Array.from(doc.querySelectorAll('.answer'));
+    const accepted = answers.find(answer => answer.matches('.accepted-answer, .js-accepted-answer'));
+    const answerScore = (answer) => SiteExtractors.number(answer.querySelector('.js-vote-count')?.getAttribute('data-value'));
+    // Shown only when nothing was accepted; answers are listed by score by default
+    const top = accepted ? null : [...answers].sort((a, b) => (answerScore(b) || 0) - (answerScore(a) || 0))[0];
+
+    return {
+      title: SiteExtractors.text(doc, '#question-header h1'),
+      tags: [...new Set(SiteExtractors.texts(question, '.post-tag'))],
+      score: SiteExtractors.number(question.querySelector('.js-vote-count')?.getAttribute('data-value')),
+      question: SiteExtractors.structuredText(question.querySelector('.js-post-body')),
+      answerCount: answers.length,
+      acceptedAnswer: accepted ? SiteExtractors.structuredText(accepted.querySelector('.js-post-body')) : '',
+      topAnswer: top ? SiteExtractors.structuredText(top.querySelector('.js-post-body')) : ''
+    };
+  }
+});
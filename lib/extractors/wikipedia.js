@@ -0,0 +1,45 @@
+// Wikipedia articles in any language
+
+// Sections at the end of an article that don't describe its subject
+const WIKIPEDIA_SKIPPED_SECTIONS = ['see also', 'references', 'notes', 'external links', 'further reading', 'bibliography', 'sources'];
+
+SiteExtractors.register({
+  type: 'wikipedia-article',
+  label: 'Wikipedia article',
+  focus: 'what the subject is and the key facts from the introduction',
+  // Namespaced pages such as Special:, Talk: or File: contain a colon
+  matches: /^[a-z-]+\.(m\.)?wikipedia\.org\/wiki\/[^:]+$/,
+  fields: {
+    title: 'string',
+    language: 'string',
+    introduction: 'string',
+    sections: 'array',
+    categories: 'array'
+  },
+
+  extract(doc, url) {
+    const content = doc.querySelector('#mw-content-text .mw-parser-output');
+    if (!content) return null;
+
+    // The introduction is every paragraph before the first section heading
+    const introduction = [];
+    for (const element of content.children) {
+      if (/^h2$/i.test(element.tagName) || element.classList.contains('mw-heading')) break;
+      if (/^p$/i.test(element.tagName)) {
+        const text = ContentExtractor.normalizeText(element.textContent);
+        if (text) introduction.push(text);
+      }
+    }
+
+    return {
+      title: SiteExtractors.text(doc, '#firstHeading'),
+      language: new URL(url).hostname.split('.')[0],
+      // Footnote markers like [1] are noise once the links are gone
+      introduction: introduction.join('\n\n').replace(/\[\d+\]/g, ''),
+      sections: SiteExtractors.texts(content, 'h2')
+        .map(heading => heading.replace(/\[edit\]$/i, '').trim())
+        .filter(heading => !WIKIPEDIA_SKIPPED_SECTIONS.includes(heading.toLowerCase())),
+      categories: SiteExtractors.texts(doc, '#mw-normal-catlinks li a')
+    };
+  }
+});
@@ -0,0 +1,34 @@
+// YouTube videos, channels, playlists and search results
+
+SiteExtractors.register({
+  type: 'youtube',
+  label: 'YouTube page',
+  focus: 'what the video or channel is about and who made it',
+  matches: /^(m\.)?youtube\.com\/(watch|shorts\/|channel\/|c\/|@|results|playlist)/,
+  fields: {
+    contentType: 'string',
+    videoTitle: 'string',
+    channel: 'string',
+    views: 'number',
+    description: 'string'
+  },
+
+  extract(doc, url) {
+    const path = new URL(url).pathname;
+    const contentTypes = [
+      [/^\/(watch|shorts\/)/, 'YouTube Video'],
+      [/^\/(channel\/|c\/|@)/, 'YouTube Channel'],
+      [/^\/results/, 'YouTube Search Results'],
+      [/^\/playlist/, 'YouTube Playlist']
+    ];
+
+    return {
+      contentType: contentTypes.find(([pattern]) => pattern.test(path))?.[1],
+      videoTitle: SiteExtractors.text(doc, 'ytd-watch-metadata h1, h1.ytd-video-primary-info-renderer') || SiteExtractors.meta(doc, 'og:title'),
+      channel: SiteExtractors.text(doc, 'ytd-video-owner-renderer #channel-name a, ytd-channel-name a, #owner-name a'),
+      views: SiteExtractors.number(doc.querySelector('meta[itemprop="interactionCount"]')?.getAttribute('content')),
+      description: SiteExtractors.text(doc, 'ytd-text-inline-expander #plain-snippet-text, #description-inline-expander, #description') ||
+        SiteExtractors.meta(doc, 'og:description')
+    };
+  }
+});
@@ -0,0 +1,97 @@
+// Answers questions about the browsing history from stored pages: finds the pages that match the
+// question (and the days it mentions), then has the model answer from their summaries with
+// numbered citations, or lists the matches when no model is available
+
+const CHAT_MAX_SOURCES = 6;
+
+// Characters of each page's summary included in the prompt
+const CHAT_SOURCE_SUMMARY_CHARS = 700;
+
+const CHAT_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Words that shape a question about the history without saying what it was about
+const CHAT_QUESTION_WORDS = new Set([
+  'article', 'articles', 'blog', 'browse', 'browsed', 'find', 'looked', 'looking', 'post', 'remember',
+  'saw', 'seen', 'show', 'site', 'tell', 'thing', 'visit', 'visited', 'website', 'watched', 'video'
+]);
+
+class HistoryChat {
+  // Day range named in the question, as day keys: "today", "yesterday", "on Tuesday" (the latest
+  // one up to today; "last Tuesday" skips today), "this week"/"last week" (the last 7 days) and
+  // "last N days". Resolves to { dateFrom, dateTo, label, rest } with the date words taken out of
+  // rest, or dates of null.
+  static parseDates(question, today) {
+    const day = (offset) => {
+      const date = new Date(today);
+      date.setDate(date.getDate() - offset);
+      return date.toDateString();
+    };
+    const patterns = [
+      [/\btoday\b/i, () => ({ dateFrom: day(0), dateTo: day(0), label: 'today' })],
+      [/\byesterday\b/i, () => ({ dateFrom: day(1), dateTo: day(1), label: 'yesterday' })],
+      [/\b(?:in the )?(?:last|past) (\d{1,2}) days\b/i, (match) => {
+        const days = Math.max(1, Number(match[1]));
+        return { dateFrom: day(days - 1), dateTo: day(0), label: `in the last ${days} days` };
+      }],
+      [/\b(?:this|last|past) week\b/i, () => ({ dateFrom: day(6), dateTo: day(0), label: 'in the last 7 days' })],
+      [new RegExp(`\\b(?:on |last )?(${CHAT_WEEKDAYS.join('|')})\\b`, 'i'), (match) => {
+        const offset = (new Date(today).getDay() - CHAT_WEEKDAYS.indexOf(match[1].toLowerCase()) + 7) % 7 ||
+          (/^last/i.test(match[0]) ? 7 : 0);
+        return { dateFrom: day(offset), dateTo: day(offset), label: `on ${new Date(day(offset)).toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' })}` };
+      }]
+    ];
+
+    for (const [pattern, range] of patterns) {
+      const match = question.match(pattern);
+      if (match) {
+        return { ...range(match), rest: question.replace(match[0], ' ') };
+      }
+    }
+    return { dateFrom: null, dateTo: null, label: '', rest: question };
+  }
+
+  // Search words for the question. Plurals are cut back to the stem, which the search index
+  // matches as a prefix, so "databases" also finds pages about a "database".
+  static searchTerms(text) {
+    return [...new Set(ExtractiveSummarizer.words(text).filter(word => !CHAT_QUESTION_WORDS.has(word)))];
+  }
+
+  // sources: pages numbered from 1 in the order given. The prompt is cut to fit maxChars by
+  // dropping the lowest-ranked sources.
+  static buildPrompt(question, sources, maxChars) {
+    const blocks = sources.map((source, index) => [
+      `[${index + 1}] ${source.title || 'Untitled'}`,
+      `URL: ${source.url}`,
+      `Visited: ${new Date(source.timestamp).toLocaleString([], { weekday: 'long', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`,
+      `Summary: ${ExtractiveSummarizer.truncate(HistoryChat.sourceText(source), CHAT_SOURCE_SUMMARY_CHARS)}`
+    ].join('\n'));
+
+    const build = (count) => `Answer the question using only the pages from the user's browsing history listed below. Cite the pages you use with their numbers in square brackets, like [1] or [2][3]. If the pages don't answer the question, say so briefly instead of guessing. Answer in 2-4 sentences.
+
+Pages:
+${blocks.slice(0, count).join('\n\n')}
+
+Question: ${question}
+
+Answer:`;
+
+    let count = blocks.length;
+    while (count > 1 && build(count).length > maxChars) {
+      count--;
+    }
+    return { prompt: build(count), used: count };
+  }
+
+  static sourceText(source) {
+    return source.aiSummary || source.fallbackSummary || source.summary || source.description || '';
+  }
+
+  // Shown when no model can answer
+  static fallbackAnswer(sources, label) {
+    const where = label ? ` ${label}` : '';
+    if (sources.length === 0) {
+      return `No pages${where} match your question.`;
+    }
+    return `AI answers are not available right now. These are the pages${where} that best match your question: ${sources.map((source, index) => `[${index + 1}] ${source.title || source.url}`).join(', ')}.`;
+  }
+}
@@ -0,0 +1,180 @@
+// Turns stored days into downloadable Markdown, JSON and printable HTML files
+
+const EXPORT_SCHEMA = 'smart-history-export';
+const EXPORT_SCHEMA_VERSION = 1;
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  html: { extension: 'html', mimeType: 'text/html' }
+};
+
+class HistoryExporter {
+  // days: [{ date, overview, overviewStale, pages, visits }] in chronological order, where pages
+  // are the day's visits collapsed per URL and visits are the raw stored records. overviewStale
+  // marks an overview written before some of the day's pages were added.
+  static build(format, days, range) {
+    const config = EXPORT_FORMATS[format];
+    if (!config) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const builders = {
+      markdown: () => HistoryExporter.toMarkdown(days, range),
+      json: () => HistoryExporter.toJSON(days, range),
+      html: () => HistoryExporter.toHTML(days, range)
+    };
+
+    return {
+      content: builders[format](),
+      filename: HistoryExporter.filename(config.extension, range),
+      mimeType: config.mimeType
+    };
+  }
+
+  // Day keys are Date.toDateString() values; file names use YYYY-MM-DD
+  static fileDate(dayKey) {
+    const date = new Date(dayKey);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  static filename(extension, range) {
+    const from = HistoryExporter.fileDate(range.from);
+    const to = HistoryExporter.fileDate(range.to);
+    return `smart-history-${from === to ? from : `${from}_to_${to}`}.${extension}`;
+  }
+
+  static rangeLabel(range) {
+    return range.from === range.to ? range.from : `${range.from} – ${range.to}`;
+  }
+
+  static formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+
+  // One line of visit facts, e.g. "09:12 – 10:40 · 3 visits · 5m active"
+  static describePage(page) {
+    const parts = [];
+    const visitCount = page.visitCount || 1;
+
+    parts.push(visitCount > 1
+      ? `${HistoryExporter.formatTime(page.firstSeen)} – ${HistoryExporter.formatTime(page.lastSeen || page.timestamp)}`
+      : HistoryExporter.formatTime(page.timestamp));
+    if (visitCount > 1) parts.push(`${visitCount} visits`);
+    if (page.activeMs >= 1000) parts.push(`${DayAggregator.formatDuration(page.activeMs)} active`);
+
+    return parts.join(' · ');
+  }
+
+  static pageSummary(page) {
+    return page.aiSummary || page.fallbackSummary || '';
+  }
+
+  static toMarkdown(days, range) {
+    // Link text can't contain unbalanced brackets, nor link targets spaces or parentheses
+    const linkText = (text) => String(text || 'Untitled').replace(/([[\]])/g, '\\$1');
+    const linkUrl = (url) => url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    const lines = [
+      `# Smart History: ${HistoryExporter.rangeLabel(range)}`,
+      '',
+      `_Exported ${new Date().toLocaleString()}_`,
+      ''
+    ];
+
+    days.forEach(day => {
+      lines.push(`## ${day.date}`, '');
+      if (day.overview) {
+        lines.push(...day.overview.split('\n').map(line => `> ${line}`), '');
+      }
+
+      day.pages.forEach(page => {
+        lines.push(`### [${linkText(page.title)}](${linkUrl(page.url)})`, '');
+        lines.push(`_${HistoryExporter.describePage(page)}_`, '');
+
+        const summary = HistoryExporter.pageSummary(page);
+        if (summary) {
+          lines.push(summary.trim(), '');
+        }
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  // Versioned so the importer can tell which shape of visit record it is reading
+  static toJSON(days, range) {
+    return JSON.stringify({
+      schema: EXPORT_SCHEMA,
+      version: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      range,
+      days: days.map(day => ({
+        date: day.date,
+        overview: day.overview,
+        overviewStale: Boolean(day.overviewStale),
+        visits: day.visits
+      }))
+    }, null, 2);
+  }
+
+  // The popup and its activity timeline escape their markup with this too
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // A single file with inline styles and no scripts, readable offline and printable
+  static toHTML(days, range) {
+    const escape = HistoryExporter.escapeHtml;
+    const title = `Smart History: ${HistoryExporter.rangeLabel(range)}`;
+
+    const sections = days.map(day => `
+    <section class="day">
+      <h2>${escape(day.date)}</h2>
+      ${day.overview ? `<p class="overview">${escape(day.overview).replace(/\n/g, '<br>')}</p>` : ''}
+      ${day.pages.map(page => `
+      <article class="page">
+        <h3><a href="${escape(page.url)}">${escape(page.title || 'Untitled')}</a></h3>
+        <div class="meta">${escape(HistoryExporter.describePage(page))} · ${escape(HistoryStore.extractDomain(page.url))}</div>
+        ${HistoryExporter.pageSummary(page) ? `<p>${escape(HistoryExporter.pageSummary(page)).replace(/\n/g, '<br>')}</p>` : ''}
+      </article>`).join('')}
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escape(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 760px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+    h1 { font-size: 24px; color: #667eea; margin-bottom: 4px; }
+    .exported { font-size: 12px; color: #777; margin-bottom: 30px; }
+    h2 { font-size: 18px; border-bottom: 2px solid #667eea; padding-bottom: 4px; margin-top: 30px; }
+    .overview { background: #f3f4fd; border-left: 3px solid #667eea; padding: 10px 14px; border-radius: 4px; }
+    .page { margin: 16px 0; }
+    h3 { font-size: 15px; margin: 0; }
+    h3 a { color: #333; text-decoration: none; }
+    .meta { font-size: 11px; color: #777; margin: 2px 0 6px; }
+    .page p { font-size: 13px; margin: 0; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .day { break-before: page; }
+      .day:first-of-type { break-before: auto; }
+      .page { break-inside: avoid; }
+      h3 a::after { content: " (" attr(href) ")"; font-size: 10px; color: #777; font-weight: normal; word-break: break-all; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escape(title)}</h1>
+  <div class="exported">Exported ${escape(new Date().toLocaleString())}</div>
+  ${sections}
+</body>
+</html>
+`;
+  }
+}
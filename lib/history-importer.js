@@ -0,0 +1,156 @@
+// Validates JSON backups written by HistoryExporter before they are merged into the history database
+
+// Visit fields that are restored from a backup and the type each must have. Ids, tab ids and
+// links between visits only make sense in the database that produced them, so they are dropped.
+const IMPORT_VISIT_FIELDS = {
+  url: 'string',
+  title: 'string',
+  date: 'string',
+  timestamp: 'string',
+  lastUpdated: 'string',
+  domain: 'string',
+  contentLength: 'number',
+  contentHash: 'string',
+  contentConfidence: 'number',
+  metadata: 'object',
+  siteData: 'object',
+  fallbackSummary: 'string',
+  keywords: 'array',
+  aiSummary: 'string',
+  category: 'string',
+  categorySource: 'string',
+  summaryStatus: 'string',
+  summaryError: 'string',
+  activeMs: 'number',
+  scrollDepth: 'number',
+  interactions: 'number',
+  referrer: 'string',
+  transition: 'string',
+  transitionQualifiers: 'array'
+};
+
+const IMPORT_REQUIRED_FIELDS = ['url', 'date', 'timestamp'];
+
+// Listing every problem in a badly broken file isn't useful, the first few explain it
+const IMPORT_MAX_REPORTED_ISSUES = 20;
+
+class HistoryImporter {
+  static isValidDate(value) {
+    return typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+  }
+
+  // Checks the file against the export schema and returns the visits that can be stored,
+  // along with errors (the file can't be imported) and warnings (some entries were skipped)
+  static validate(data) {
+    const errors = [];
+    const warnings = [];
+    const visits = [];
+    let skipped = 0;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { errors: ['The file does not contain a backup object.'], warnings, visits, skipped };
+    }
+    if (data.schema !== EXPORT_SCHEMA) {
+      errors.push('This is not a Smart History backup (unknown schema).');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push('The backup has no valid schema version.');
+    } else if (data.version > EXPORT_SCHEMA_VERSION) {
+      errors.push(`The backup uses schema version ${data.version}, but this version of the extension only reads up to ${EXPORT_SCHEMA_VERSION}. Please update the extension.`);
+    }
+    if (!Array.isArray(data.days)) {
+      errors.push('The backup has no list of days.');
+    }
+    if (errors.length > 0) {
+      return { errors, warnings, visits, skipped };
+    }
+
+    const warn = (message) => {
+      if (warnings.length < IMPORT_MAX_REPORTED_ISSUES) {
+        warnings.push(message);
+      }
+    };
+
+    data.days.forEach((day, dayIndex) => {
+      if (!day || !HistoryImporter.isValidDate(day.date) || !Array.isArray(day.visits)) {
+        warn(`Day ${dayIndex + 1} is malformed and was skipped.`);
+        skipped += Array.isArray(day?.visits) ? day.visits.length : 0;
+        return;
+      }
+
+      day.visits.forEach((record, visitIndex) => {
+        const label = `${day.date}, entry ${visitIndex + 1}`;
+        const problem = HistoryImporter.checkVisit(record);
+        if (problem) {
+          warn(`${label}: ${problem}`);
+          skipped++;
+          return;
+        }
+
+        const visit = HistoryImporter.toStoredVisit(record);
+        if (visit.date !== new Date(day.date).toDateString()) {
+          warn(`${label}: belongs to ${visit.date} and was filed there.`);
+        }
+        visits.push(visit);
+      });
+    });
+
+    if (skipped > IMPORT_MAX_REPORTED_ISSUES) {
+      warnings.push(`${skipped} entries were skipped in total.`);
+    }
+
+    return { errors, warnings, visits, skipped };
+  }
+
+  // Returns why a visit record can't be imported, or null if it can
+  static checkVisit(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return 'not a visit record';
+    }
+
+    const missing = IMPORT_REQUIRED_FIELDS.filter(field => record[field] === undefined || record[field] === null);
+    if (missing.length > 0) {
+      return `missing ${missing.join(', ')}`;
+    }
+
+    for (const [field, type] of Object.entries(IMPORT_VISIT_FIELDS)) {
+      const value = record[field];
+      if (value === undefined || value === null) continue;
+
+      const actualType = Array.isArray(value) ? 'array' : typeof value;
+      if (actualType !== type || (type === 'number' && !Number.isFinite(value))) {
+        return `${field} should be a ${type}`;
+      }
+    }
+
+    if (!/^https?:\/\//i.test(record.url)) {
+      return 'only http(s) pages can be imported';
+    }
+    if (!HistoryImporter.isValidDate(record.date) || !HistoryImporter.isValidDate(record.timestamp)) {
+      return 'invalid date or timestamp';
+    }
+
+    return null;
+  }
+
+  // Keeps the known fields and normalizes keys so the record matches what the extension stores
+  static toStoredVisit(record) {
+    const visit = {};
+    Object.keys(IMPORT_VISIT_FIELDS).forEach(field => {
+      if (record[field] !== undefined && record[field] !== null) {
+        visit[field] = record[field];
+      }
+    });
+
+    visit.date = new Date(record.date).toDateString();
+    visit.timestamp = new Date(record.timestamp).toISOString();
+    visit.domain = HistoryStore.extractDomain(visit.url);
+
+    // No summary job comes with the backup, so unfinished work is settled on the fallback summary
+    if (visit.summaryStatus !== 'failed') {
+      visit.summaryStatus = 'done';
+    }
+
+    return visit;
+  }
+}
@@ -0,0 +1,375 @@
+// IndexedDB storage for visited pages, shared by the background worker and the popup
+
+const HISTORY_DB_NAME = 'smartHistory';
+const HISTORY_DB_VERSION = 4;
+
+class HistoryStore {
+  constructor(dbName = HISTORY_DB_NAME) {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  static extractDomain(url) {
+    try {
+      return new URL(url).hostname.replace('www.', '');
+    } catch {
+      return url;
+    }
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, HISTORY_DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          // One record per visit; date is the day key (Date.toDateString of the journey day)
+          const visits = db.createObjectStore('visits', { keyPath: 'id', autoIncrement: true });
+          visits.createIndex('date', 'date');
+          visits.createIndex('domain', 'domain');
+          visits.createIndex('url', 'url');
+          visits.createIndex('timestamp', 'timestamp');
+          visits.createIndex('date_url', ['date', 'url'], { unique: true });
+
+          // Small key/value records such as the rollover marker and migration flag
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+
+        if (event.oldVersion < 2) {
+          // Pending summarization work, kept here so it survives service-worker suspension
+          const jobs = db.createObjectStore('jobs', { keyPath: 'id', autoIncrement: true });
+          jobs.createIndex('status', 'status');
+          jobs.createIndex('visitId', 'visitId');
+        }
+
+        if (event.oldVersion < 3) {
+          // A page can now be visited many times per day, so date + url is no longer unique
+          const visits = request.transaction.objectStore('visits');
+          visits.deleteIndex('date_url');
+          visits.createIndex('date_url', ['date', 'url']);
+        }
+
+        if (event.oldVersion < 4) {
+          // One search index record per page and day (see SearchIndex), so adding a page writes
+          // only that page
+          const searchDocs = db.createObjectStore('searchDocs', { keyPath: 'id' });
+          searchDocs.createIndex('date', 'date');
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+
+        // Let a newer version of the extension (e.g. an open popup after an update) upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+
+        resolve(db);
+      };
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  // Runs work against one transaction and resolves with its result once the transaction commits
+  async transaction(storeNames, mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      Promise.resolve(work(tx))
+        .then(value => { result = value; })
+        .catch(error => {
+          reject(error);
+          try {
+            tx.abort();
+          } catch {
+            // Transaction already finished
+          }
+        });
+    });
+  }
+
+  // Adds a new visit record and resolves with it, including its generated id
+  async addVisit(record) {
+    const visit = {
+      ...record,
+      domain: record.domain || HistoryStore.extractDomain(record.url)
+    };
+    delete visit.id;
+
+    return this.transaction(['visits'], 'readwrite', async (tx) => {
+      visit.id = await HistoryStore.promisify(tx.objectStore('visits').add(visit));
+      return visit;
+    });
+  }
+
+  // Applies changes to an existing visit; resolves with null if the visit no longer exists.
+  // Pass a function to compute the changes from the stored visit (e.g. to add to a counter).
+  async updateVisit(id, changes) {
+    return this.transaction(['visits'], 'readwrite', async (tx) => {
+      const store = tx.objectStore('visits');
+      const visit = await HistoryStore.promisify(store.get(id));
+      if (!visit) return null;
+
+      const updates = typeof changes === 'function' ? changes(visit) : changes;
+      const updated = { ...visit, ...updates, id };
+      store.put(updated);
+      return updated;
+    });
+  }
+
+  async getVisitById(id) {
+    return this.transaction(['visits'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('visits').get(id));
+    });
+  }
+
+  async getVisitsForDateAndUrl(date, url) {
+    return this.transaction(['visits'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('visits').index('date_url').getAll([date, url]));
+    });
+  }
+
+  async getVisitsForDate(date) {
+    return this.transaction(['visits'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('visits').index('date').getAll(date));
+    });
+  }
+
+  async getVisitsForDomain(domain) {
+    return this.transaction(['visits'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('visits').index('domain').getAll(domain));
+    });
+  }
+
+  async getVisitsForUrl(url) {
+    return this.transaction(['visits'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('visits').index('url').getAll(url));
+    });
+  }
+
+  async getAllVisits() {
+    return this.transaction(['visits'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('visits').getAll());
+    });
+  }
+
+  // Distinct day keys that have at least one visit, most recent first
+  async getDates() {
+    const dates = await this.transaction(['visits'], 'readonly', (tx) => {
+      return new Promise((resolve, reject) => {
+        const keys = [];
+        const request = tx.objectStore('visits').index('date').openKeyCursor(null, 'nextunique');
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor) {
+            keys.push(cursor.key);
+            cursor.continue();
+          } else {
+            resolve(keys);
+          }
+        };
+        request.onerror = () => reject(request.error);
+      });
+    });
+
+    return dates.sort((a, b) => new Date(b) - new Date(a));
+  }
+
+  async deleteDate(date) {
+    return this.transaction(['visits'], 'readwrite', async (tx) => {
+      const store = tx.objectStore('visits');
+      const ids = await HistoryStore.promisify(store.index('date').getAllKeys(date));
+      ids.forEach(id => store.delete(id));
+      return ids.length;
+    });
+  }
+
+  async clearVisits() {
+    return this.transaction(['visits', 'jobs'], 'readwrite', (tx) => {
+      tx.objectStore('jobs').clear();
+      return HistoryStore.promisify(tx.objectStore('visits').clear());
+    });
+  }
+
+  async getMeta(key) {
+    const record = await this.transaction(['meta'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('meta').get(key));
+    });
+    return record?.value;
+  }
+
+  async setMeta(key, value) {
+    return this.transaction(['meta'], 'readwrite', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('meta').put({ key, value }));
+    });
+  }
+
+  // Deletes one meta record, or every record whose key starts with prefix when prefix is true
+  async deleteMeta(key, { prefix = false } = {}) {
+    return this.transaction(['meta'], 'readwrite', (tx) => {
+      const range = prefix ? IDBKeyRange.bound(key, `${key}\uffff`) : key;
+      return HistoryStore.promisify(tx.objectStore('meta').delete(range));
+    });
+  }
+
+  // Adds visits from a backup in one transaction. 'merge' skips visits already stored (same URL
+  // and timestamp) and only fills in fields they are missing; 'replace' first deletes every stored
+  // visit on the days the backup covers. With dryRun nothing is written but the report is the same.
+  async importVisits(visits, { mode = 'merge', dryRun = false } = {}) {
+    const visitKey = (visit) => `${visit.url}|${new Date(visit.timestamp).toISOString()}`;
+    // Fields where a differing stored value is reported as a conflict rather than silently kept
+    const conflictFields = ['title', 'aiSummary', 'fallbackSummary', 'contentHash'];
+
+    return this.transaction(['visits', 'jobs'], dryRun ? 'readonly' : 'readwrite', async (tx) => {
+      const store = tx.objectStore('visits');
+      const jobs = tx.objectStore('jobs');
+      const report = { mode, added: 0, duplicates: 0, filled: 0, conflicts: [], replacedDays: [], removed: 0 };
+      const existing = new Map();
+
+      if (mode === 'replace') {
+        for (const date of new Set(visits.map(visit => visit.date))) {
+          const stored = await HistoryStore.promisify(store.index('date').getAll(date));
+          if (stored.length === 0) continue;
+
+          report.replacedDays.push(date);
+          report.removed += stored.length;
+          if (dryRun) continue;
+
+          for (const visit of stored) {
+            const jobIds = await HistoryStore.promisify(jobs.index('visitId').getAllKeys(visit.id));
+            jobIds.forEach(id => jobs.delete(id));
+            store.delete(visit.id);
+          }
+        }
+      } else {
+        for (const url of new Set(visits.map(visit => visit.url))) {
+          const stored = await HistoryStore.promisify(store.index('url').getAll(url));
+          stored.forEach(visit => existing.set(visitKey(visit), visit));
+        }
+      }
+
+      for (const visit of visits) {
+        const key = visitKey(visit);
+        const stored = existing.get(key);
+
+        if (!stored) {
+          if (!dryRun) {
+            // Wait for the id so later duplicates in the same file can be merged into this record
+            const id = await HistoryStore.promisify(store.add(visit));
+            existing.set(key, { ...visit, id });
+          } else {
+            existing.set(key, visit);
+          }
+          report.added++;
+          continue;
+        }
+
+        report.duplicates++;
+
+        const conflicting = conflictFields.filter(field => stored[field] && visit[field] && stored[field] !== visit[field]);
+        if (conflicting.length > 0) {
+          report.conflicts.push({ url: visit.url, title: stored.title || visit.title, timestamp: visit.timestamp, fields: conflicting });
+        }
+
+        const isEmpty = (value) => value === undefined || value === null || value === '';
+        const missing = Object.keys(visit).filter(field => isEmpty(stored[field]) && !isEmpty(visit[field]));
+        if (missing.length > 0) {
+          report.filled++;
+          const merged = { ...stored };
+          missing.forEach(field => { merged[field] = visit[field]; });
+          existing.set(key, merged);
+          if (!dryRun && merged.id !== undefined) {
+            store.put(merged);
+          }
+        }
+      }
+
+      return report;
+    });
+  }
+
+  // One-time copy of the old chrome.storage.local blob into IndexedDB. Safe to call from
+  // several contexts at once: the flag check and the inserts share a single transaction.
+  async migrateFromChromeStorage() {
+    const legacy = await chrome.storage.local.get(['webJourneyData', 'rolloverState']);
+    const data = legacy.webJourneyData;
+
+    const migrated = await this.transaction(['visits', 'meta'], 'readwrite', async (tx) => {
+      const meta = tx.objectStore('meta');
+      const flag = await HistoryStore.promisify(meta.get('migratedFromChromeStorage'));
+      if (flag) return 0;
+
+      const visits = tx.objectStore('visits');
+      const dateUrl = visits.index('date_url');
+      let count = 0;
+
+      // Archived days first so a day present in both keeps the visitedPages copy
+      const days = [
+        ...Object.entries(data?.archivedDays || {}),
+        ...Object.entries(data?.visitedPages || {})
+      ];
+
+      for (const [date, pages] of days) {
+        for (const page of Object.values(pages)) {
+          if (!page?.url) continue;
+
+          const existing = await HistoryStore.promisify(dateUrl.get([date, page.url]));
+          const record = {
+            ...page,
+            date,
+            domain: HistoryStore.extractDomain(page.url)
+          };
+          if (existing) {
+            record.id = existing.id;
+          }
+
+          await HistoryStore.promisify(visits.put(record));
+          count++;
+        }
+      }
+
+      if (legacy.rolloverState) {
+        meta.put({ key: 'rolloverState', value: legacy.rolloverState });
+      }
+      meta.put({ key: 'migratedFromChromeStorage', value: new Date().toISOString() });
+
+      return count;
+    });
+
+    if (data || legacy.rolloverState) {
+      await chrome.storage.local.remove(['webJourneyData', 'rolloverState']);
+    }
+
+    if (migrated > 0) {
+      console.log(`Migrated ${migrated} stored pages to IndexedDB`);
+    }
+
+    return migrated;
+  }
+}
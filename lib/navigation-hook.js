@@ -0,0 +1,20 @@
+// Runs in the page's own JavaScript world, where single-page apps call the History API, and tells
+// the content script about each pushState and replaceState with a DOM event. Content scripts
+// can't see these calls themselves; popstate and hashchange they can.
+
+(() => {
+  if (window.__smartHistoryNavigationHook) return;
+  window.__smartHistoryNavigationHook = true;
+
+  // Must match NAVIGATION_EVENT in lib/navigation.js, which this world can't load
+  const eventName = 'smart-history:navigate';
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new CustomEvent(eventName, { detail: { method } }));
+      return result;
+    };
+  });
+})();
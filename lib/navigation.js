@@ -0,0 +1,22 @@
+// Decides when a URL change inside a page is a new route, and so a new visit, rather than an
+// in-page update such as jumping to an anchor
+
+// Dispatched on window by lib/navigation-hook.js, which runs in the page's own world
+const NAVIGATION_EVENT = 'smart-history:navigate';
+
+class Navigation {
+  // Path and query identify a route; the hash only does in hash-routed apps (#/inbox, #!/page)
+  static routeKey(url) {
+    try {
+      const parsed = new URL(url);
+      const hashRoute = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+      return `${parsed.origin}${parsed.pathname}${parsed.search}${hashRoute}`;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  static isSameRoute(a, b) {
+    return Navigation.routeKey(a) === Navigation.routeKey(b);
+  }
+}
@@ -0,0 +1,132 @@
+// Strips personal data and secrets from page text before it is stored or sent to the AI
+
+const REDACTION_PATTERNS = [
+  // Secrets first, so their digits aren't half-matched as card or phone numbers
+  { label: 'token', pattern: /\beyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,}/g },                  // JSON Web Tokens
+  { label: 'token', pattern: /\b(?:sk|pk|rk)[-_](?:live|test|proj)?[-_]?[A-Za-z0-9]{16,}/g },  // API secret keys
+  { label: 'token', pattern: /\b(?:gh[pousr]|github_pat)_[A-Za-z0-9_]{20,}/g },               // GitHub tokens
+  { label: 'token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },                           // Slack tokens
+  { label: 'token', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },                             // AWS access keys
+  { label: 'token', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },                                 // Google API keys
+  { label: 'token', pattern: /\bBearer\s+[A-Za-z0-9._~+/-]{16,}=*/gi },
+  { label: 'token', pattern: /\b((?:api[_-]?key|access[_-]?token|secret|password|passwd|token)\s*[:=]\s*)["']?[^\s"']{6,}["']?/gi, keepPrefix: true },
+  // Long random-looking strings that mix letters and digits, e.g. session ids and recovery codes
+  { label: 'token', pattern: /\b(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{32,}\b/g },
+  { label: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { label: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: (match) => Redactor.passesLuhn(match) },
+  // Phone numbers need a leading + or an area code in parentheses, or else at least 9 digits in
+  // three groups split by the same separator, so that plain numbers, years, prices, dates and
+  // version strings (1.2.3456 7890, 10.0.19045.3803) are left alone
+  { label: 'phone', pattern: /(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?|\(\d{2,4}\)[\s.-]?)\d{2,4}[\s.-]?\d{3,4}(?:[\s.-]?\d{3,4})?\b/g },
+  { label: 'phone', pattern: /(?<![\d.,-])\b\d{2,4}([\s.-])\d{3,4}\1\d{3,4}\b(?![.,-]?\d)/g, check: (match) => Redactor.isPhoneLike(match) }
+];
+
+// Query and fragment parameters whose values are credentials or personal data whatever they look like
+const REDACTION_URL_PARAMS = /^(?:access_token|id_token|refresh_token|token|auth|authorization|code|api_?key|key|secret|password|passwd|pwd|session|session_?id|sid|sig|signature|otp|email)$/i;
+
+class Redactor {
+  // Luhn checksum, used to tell card numbers apart from other long digit runs
+  static passesLuhn(value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  // At least 9 digits, and not a year followed by a date or a number like 2024 1019 3344
+  static isPhoneLike(value) {
+    const groups = value.split(/[\s.-]/);
+    return groups.join('').length >= 9 && !/^(?:19|20)\d\d$/.test(groups[0]);
+  }
+
+  // Redacts the values in a URL's query string and fragment, which can carry tokens, emails and
+  // one-time codes; the origin and path are kept so the page can still be opened and matched
+  static redactUrl(url) {
+    if (!url) return url;
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return Redactor.redact(url).text;
+    }
+
+    // Resolves to the redacted parameters, or null when none of them had anything to remove
+    const redactParams = (text) => {
+      const params = new URLSearchParams(text);
+      let found = false;
+      [...params.entries()].forEach(([key, value]) => {
+        const redacted = REDACTION_URL_PARAMS.test(key) && value ? 'removed' : Redactor.redact(value).text;
+        if (redacted !== value) {
+          params.set(key, redacted);
+          found = true;
+        }
+      });
+      return found ? params.toString() : null;
+    };
+
+    let changed = false;
+    const search = parsed.search ? redactParams(parsed.search) : null;
+    if (search !== null) {
+      parsed.search = search;
+      changed = true;
+    }
+
+    // Hash routes (#/inbox?tab=2) keep their path; other fragments are either parameters, as in
+    // OAuth redirects, or plain text
+    const hash = parsed.hash.slice(1);
+    let redactedHash = null;
+    if (/^!?\//.test(hash)) {
+      const queryStart = hash.indexOf('?');
+      const query = queryStart === -1 ? null : redactParams(hash.slice(queryStart + 1));
+      redactedHash = query === null ? null : `${hash.slice(0, queryStart)}?${query}`;
+    } else if (hash) {
+      redactedHash = hash.includes('=') ? redactParams(hash) : Redactor.redact(hash).text;
+    }
+    if (redactedHash !== null && redactedHash !== hash) {
+      parsed.hash = redactedHash;
+      changed = true;
+    }
+
+    return changed ? parsed.toString() : url;
+  }
+
+  // Returns the redacted text and how many values of each kind were removed
+  static redact(text) {
+    const counts = {};
+    if (!text) return { text: text || '', counts };
+
+    let redacted = String(text);
+    REDACTION_PATTERNS.forEach(({ label, pattern, check, keepPrefix }) => {
+      redacted = redacted.replace(pattern, (match, prefix) => {
+        if (check && !check(match)) return match;
+
+        counts[label] = (counts[label] || 0) + 1;
+        return `${keepPrefix ? prefix : ''}[${label} removed]`;
+      });
+    });
+
+    return { text: redacted, counts };
+  }
+
+  // Redacts every string value of a metadata object, including those in nested lists and objects
+  static redactFields(fields) {
+    return Object.fromEntries(Object.entries(fields || {}).map(([key, value]) => [key, Redactor.redactValue(value)]));
+  }
+
+  static redactValue(value) {
+    if (typeof value === 'string') return Redactor.redact(value).text;
+    if (Array.isArray(value)) return value.map(item => Redactor.redactValue(item));
+    if (value && typeof value === 'object') return Redactor.redactFields(value);
+    return value;
+  }
+}
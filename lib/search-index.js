@@ -0,0 +1,308 @@
+// Local full-text search index over captured pages and their summaries
+
+const SEARCH_INDEX_VERSION = 2;
+
+// How much a term hit counts for, depending on where it was found
+const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  url: 2,
+  metadata: 1.5,
+  summary: 1
+};
+
+const SEARCH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with', 'you', 'your', 'www', 'http', 'https', 'com', 'html'
+]);
+
+class SearchIndex {
+  // Pages are stored one record each in the history database's searchDocs store, with their term
+  // weights; the postings used for searching are rebuilt in memory when the index is first used
+  constructor(historyStore) {
+    this.store = historyStore;
+    this.index = null;
+    this.loading = null;
+  }
+
+  static tokenize(text) {
+    if (!text) return [];
+
+    return String(text)
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 1 && !SEARCH_STOP_WORDS.has(token));
+  }
+
+  // Short fields from site extractors (repository, tags, authors...); long text is left to the summary
+  static siteTerms(siteData) {
+    return Object.values(siteData?.fields || {})
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .filter(value => typeof value === 'string' && value.length <= 200);
+  }
+
+  static documentId(date, url) {
+    return `${date}|${url}`;
+  }
+
+  static emptyIndex() {
+    return { docs: {}, terms: {} };
+  }
+
+  // Resolves to the in-memory index, or null when the stored one is missing or outdated
+  load() {
+    if (this.index) return Promise.resolve(this.index);
+
+    if (!this.loading) {
+      this.loading = this.readStoredIndex()
+        .then((index) => {
+          this.index = this.index || index;
+          return this.index;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  async readStoredIndex() {
+    if (await this.store.getMeta('searchIndexVersion') !== SEARCH_INDEX_VERSION) return null;
+
+    const records = await this.store.transaction(['searchDocs'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('searchDocs').getAll());
+    });
+
+    const index = SearchIndex.emptyIndex();
+    records.forEach(record => SearchIndex.addPostings(index, record));
+    return index;
+  }
+
+  // Rebuild from the stored visits when the index is missing or outdated
+  async ensureBuilt(getVisits) {
+    if (await this.load()) return;
+
+    const visits = await getVisits();
+    await this.rebuild(visits);
+
+    // Indexes before version 2 were one chrome.storage.local blob
+    await chrome.storage.local.remove(['searchIndex']);
+  }
+
+  async rebuild(visits) {
+    const index = SearchIndex.emptyIndex();
+    const records = visits.map(visit => this.indexDocument(index, visit.date, visit));
+
+    await this.store.transaction(['searchDocs', 'meta'], 'readwrite', (tx) => {
+      const store = tx.objectStore('searchDocs');
+      store.clear();
+      records.forEach(record => store.put(record));
+      tx.objectStore('meta').put({ key: 'searchIndexVersion', value: SEARCH_INDEX_VERSION });
+    });
+
+    this.index = index;
+    console.log(`Search index rebuilt with ${Object.keys(index.docs).length} pages`);
+  }
+
+  async addDocument(date, page) {
+    const index = await this.load();
+    if (!index) return; // Picked up by the rebuild that ensureBuilt runs
+
+    const record = this.indexDocument(index, date, page);
+    await this.store.transaction(['searchDocs'], 'readwrite', (tx) => {
+      tx.objectStore('searchDocs').put(record);
+    });
+  }
+
+  // Indexes a page only if the day has no entry for it yet, so a revisit that has no content yet
+  // doesn't replace the entry built from the earlier visit's content and summary
+  async addDocumentIfMissing(date, page) {
+    const index = await this.load();
+    if (!index || index.docs[SearchIndex.documentId(date, page.url)]) return;
+
+    await this.addDocument(date, page);
+  }
+
+  async removeDate(date) {
+    const index = await this.load();
+    if (index) {
+      Object.entries(index.docs)
+        .filter(([, doc]) => doc.date === date)
+        .forEach(([docId]) => SearchIndex.removePostings(index, docId));
+    }
+
+    await this.store.transaction(['searchDocs'], 'readwrite', async (tx) => {
+      const store = tx.objectStore('searchDocs');
+      const ids = await HistoryStore.promisify(store.index('date').getAllKeys(date));
+      ids.forEach(id => store.delete(id));
+    });
+  }
+
+  // Leaves an empty, current index behind, so nothing is rebuilt until pages are stored again
+  async clear() {
+    await this.rebuild([]);
+  }
+
+  // Adds the page to the in-memory index and returns the record to store for it
+  indexDocument(index, date, page) {
+    const metadata = page.metadata || {};
+    const fields = {
+      title: page.title || metadata.ogTitle || '',
+      url: page.url,
+      metadata: [metadata.description, metadata.ogDescription, metadata.keywords, metadata.author, ...(page.keywords || []), ...SearchIndex.siteTerms(page.siteData)]
+        .filter(Boolean)
+        .join(' '),
+      summary: page.aiSummary || page.fallbackSummary || ''
+    };
+
+    // Weighted term frequency across all fields
+    const weights = {};
+    let length = 0;
+    Object.entries(fields).forEach(([field, text]) => {
+      SearchIndex.tokenize(text).forEach(token => {
+        weights[token] = (weights[token] || 0) + SEARCH_FIELD_WEIGHTS[field];
+        length++;
+      });
+    });
+
+    const record = {
+      id: SearchIndex.documentId(date, page.url),
+      date,
+      url: page.url,
+      title: fields.title,
+      domain: page.domain || HistoryStore.extractDomain(page.url),
+      timestamp: page.timestamp,
+      description: metadata.description || metadata.ogDescription || '',
+      summary: fields.summary,
+      weights,
+      length
+    };
+    SearchIndex.addPostings(index, record);
+    return record;
+  }
+
+  static addPostings(index, record) {
+    const { id, weights, ...doc } = record;
+    SearchIndex.removePostings(index, id);
+
+    Object.entries(weights).forEach(([token, weight]) => {
+      if (!index.terms[token]) {
+        index.terms[token] = {};
+      }
+      index.terms[token][id] = weight;
+    });
+
+    index.docs[id] = { ...doc, terms: Object.keys(weights) };
+  }
+
+  static removePostings(index, docId) {
+    const doc = index.docs[docId];
+    if (!doc) return;
+
+    doc.terms.forEach(token => {
+      const postings = index.terms[token];
+      if (!postings) return;
+
+      delete postings[docId];
+      if (Object.keys(postings).length === 0) {
+        delete index.terms[token];
+      }
+    });
+
+    delete index.docs[docId];
+  }
+
+  async search(query, filters = {}) {
+    const queryTokens = [...new Set(SearchIndex.tokenize(query))];
+    if (queryTokens.length === 0 || !(await this.load())) return [];
+
+    const docs = this.index.docs;
+    const docIds = Object.keys(docs);
+    const totalDocs = docIds.length;
+    const averageLength = docIds.reduce((sum, id) => sum + docs[id].length, 0) / (totalDocs || 1);
+    const allTerms = Object.keys(this.index.terms);
+
+    // BM25-style scoring; prefix matches count for less than exact ones
+    const k1 = 1.2;
+    const b = 0.75;
+    const scores = {};
+
+    queryTokens.forEach(queryToken => {
+      const matchingTerms = allTerms.filter(term => term === queryToken || (queryToken.length >= 3 && term.startsWith(queryToken)));
+      const matchedDocs = new Set();
+
+      matchingTerms.forEach(term => {
+        const postings = this.index.terms[term];
+        const docFrequency = Object.keys(postings).length;
+        const idf = Math.log(1 + (totalDocs - docFrequency + 0.5) / (docFrequency + 0.5));
+        const matchWeight = term === queryToken ? 1 : 0.7;
+
+        Object.entries(postings).forEach(([docId, weight]) => {
+          const lengthNorm = 1 - b + b * (docs[docId].length / (averageLength || 1));
+          const termScore = idf * matchWeight * (weight * (k1 + 1)) / (weight + k1 * lengthNorm);
+
+          if (!scores[docId]) {
+            scores[docId] = { score: 0, matchedTokens: new Set(), matchedTerms: new Set() };
+          }
+          scores[docId].score += termScore;
+          scores[docId].matchedTerms.add(term);
+          matchedDocs.add(docId);
+        });
+      });
+
+      matchedDocs.forEach(docId => scores[docId].matchedTokens.add(queryToken));
+    });
+
+    const results = Object.entries(scores)
+      .map(([docId, result]) => ({ doc: docs[docId], ...result }))
+      .filter(result => this.matchesFilters(result.doc, filters))
+      .map(({ doc: { terms, ...doc }, ...result }) => ({
+        ...doc,
+        score: result.score,
+        // Pages matching every query word always rank above partial matches
+        coverage: result.matchedTokens.size / queryTokens.length,
+        matchedTerms: [...result.matchedTerms],
+        snippet: this.buildSnippet(doc, [...result.matchedTerms])
+      }))
+      .sort((a, b) => b.coverage - a.coverage || b.score - a.score || new Date(b.timestamp) - new Date(a.timestamp));
+
+    return results.slice(0, filters.limit || 50);
+  }
+
+  matchesFilters(doc, filters) {
+    if (filters.domain && doc.domain !== filters.domain) return false;
+
+    const docDay = new Date(doc.date);
+    if (filters.dateFrom && docDay < new Date(filters.dateFrom)) return false;
+    if (filters.dateTo && docDay > new Date(filters.dateTo)) return false;
+
+    return true;
+  }
+
+  buildSnippet(doc, matchedTerms) {
+    const text = [doc.summary, doc.description].filter(Boolean).join(' ').replace(/\s+/g, ' ');
+    if (!text) return '';
+
+    const lowerText = text.toLowerCase();
+    const positions = matchedTerms
+      .map(term => lowerText.indexOf(term))
+      .filter(position => position !== -1);
+
+    const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+    const start = Math.max(0, firstMatch - 60);
+    const snippet = text.substring(start, start + 180);
+
+    return (start > 0 ? '...' : '') + snippet + (start + 180 < text.length ? '...' : '');
+  }
+
+  async getDomains() {
+    if (!(await this.load())) return [];
+
+    const counts = {};
+    Object.values(this.index.docs).forEach(doc => {
+      counts[doc.domain] = (counts[doc.domain] || 0) + 1;
+    });
+
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+  }
+}
@@ -0,0 +1,232 @@
+// Splits a day's visits into browsing sessions and describes each one as a journey
+// ("searched X → read docs Y → opened repo Z"). Visits are linked to the page they were reached
+// from (the previous page in the tab, the tab that opened them, or their referrer); linked pages
+// stay in one session, and a long enough pause starts a new one.
+
+// Starting something new (typing an address, a bookmark, a search from the address bar) after a
+// pause this long starts a new session even within the session gap
+const SESSION_TASK_GAP_MS = 5 * 60 * 1000;
+
+// A page opened from one seen longer ago than this is not counted as part of that session
+const SESSION_LINK_GAP_MS = 2 * 60 * 60 * 1000;
+
+// Steps shown per journey; the rest are summed up at the end
+const SESSION_MAX_STEPS = 8;
+
+// webNavigation transition types where the user started somewhere new rather than following a link
+const SESSION_FRESH_TRANSITIONS = ['typed', 'auto_bookmark', 'generated', 'keyword', 'keyword_generated', 'start_page', 'auto_toplevel'];
+
+const SESSION_SEARCH_ENGINES = /(^|\.)(google|bing|duckduckgo|yahoo|ecosia|baidu|yandex|startpage|search\.brave|kagi|qwant)\.[a-z.]+$/;
+const SESSION_SEARCH_PARAMS = ['q', 'query', 'search_query', 'p', 'text', 'wd', 's'];
+
+// Verbs for pages the site extractors recognised
+const SESSION_SITE_STEPS = {
+  'github-repo': 'opened repo',
+  'arxiv-paper': 'read paper',
+  'reddit-thread': 'read thread',
+  'stackexchange-question': 'read Q&A',
+  'wikipedia-article': 'read about',
+  youtube: 'watched'
+};
+
+class SessionBuilder {
+  // visits: one day's stored visit records. Returns sessions in time order:
+  // [{ id, start, end, activeMs, pageCount, visitIds, steps, journey, fallbackTitle, signature }]
+  static build(visits, { gapMs }) {
+    const sorted = [...visits].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const sessionOf = new Map(); // visit id -> session
+    const sessions = [];
+
+    sorted.forEach((visit, index) => {
+      const time = new Date(visit.timestamp).getTime();
+      const parent = SessionBuilder.findParent(visit, sorted.slice(0, index));
+      let session = parent ? sessionOf.get(parent.id) : null;
+      if (session && time - session.end > SESSION_LINK_GAP_MS) {
+        session = null;
+      }
+
+      if (!session && sessions.length > 0) {
+        const latest = sessions.reduce((a, b) => (b.end > a.end ? b : a));
+        const allowedGap = SESSION_FRESH_TRANSITIONS.includes(visit.transition) ? Math.min(gapMs, SESSION_TASK_GAP_MS) : gapMs;
+        if (time - latest.end <= allowedGap) {
+          session = latest;
+        }
+      }
+
+      if (!session) {
+        session = { visits: [], start: time, end: time };
+        sessions.push(session);
+      }
+      session.visits.push(visit);
+      session.end = Math.max(session.end, time + (visit.activeMs || 0));
+      sessionOf.set(visit.id, session);
+    });
+
+    return sessions.map(session => SessionBuilder.describeSession(session));
+  }
+
+  // The earlier visit this one was reached from, if it is among the day's visits. A fresh start
+  // in the same tab is not a link, but a page opened in a new tab from another one is.
+  static findParent(visit, earlier) {
+    const byId = (id) => (id ? earlier.find(candidate => candidate.id === id) : null);
+
+    const opener = byId(visit.openerVisitId);
+    if (opener) return opener;
+    if (SESSION_FRESH_TRANSITIONS.includes(visit.transition)) return null;
+
+    const previous = byId(visit.previousVisitId);
+    if (previous) return previous;
+
+    // Cross-site referrers are usually cut down to the origin, which then matches the latest page
+    // seen on that site
+    if (!visit.referrer) return null;
+    try {
+      const referrer = new URL(visit.referrer);
+      const originOnly = referrer.pathname === '/' && !referrer.search;
+      return [...earlier].reverse().find(candidate => (originOnly
+        ? SessionBuilder.origin(candidate.url) === referrer.origin
+        : Navigation.isSameRoute(candidate.url, visit.referrer))) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static origin(url) {
+    try {
+      return new URL(url).origin;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  static describeSession(session) {
+    const { visits } = session;
+    const steps = [];
+    visits.forEach(visit => {
+      const step = SessionBuilder.describeVisit(visit);
+      const last = steps[steps.length - 1];
+      if (last?.url === step.url) return;
+
+      // Reading on through one site is one step
+      if (step.kind === 'read' && last?.kind === 'read' && last.domain === step.domain) {
+        last.pages++;
+        last.text = `read ${last.pages} pages on ${last.domain}`;
+        return;
+      }
+      steps.push({ ...step, pages: 1 });
+    });
+
+    const shown = steps.slice(0, SESSION_MAX_STEPS).map(step => step.text);
+    if (steps.length > SESSION_MAX_STEPS) {
+      shown.push(`${steps.length - SESSION_MAX_STEPS} more steps`);
+    }
+
+    const first = visits[0];
+    const last = visits[visits.length - 1];
+    return {
+      id: String(first.id),
+      start: new Date(session.start).toISOString(),
+      end: new Date(session.end).toISOString(),
+      activeMs: visits.reduce((sum, visit) => sum + (visit.activeMs || 0), 0),
+      pageCount: new Set(visits.map(visit => visit.url)).size,
+      visitIds: visits.map(visit => visit.id),
+      steps: steps.map(({ text, url, kind }) => ({ text, url, kind })),
+      journey: shown.join(' → '),
+      fallbackTitle: SessionBuilder.fallbackTitle(steps, visits),
+      // Titles are written again once the session has grown
+      signature: `${visits.length}|${last.id}`
+    };
+  }
+
+  // { kind, text, url, domain } for one visit, and the query for searches
+  static describeVisit(visit) {
+    const domain = HistoryStore.extractDomain(visit.url);
+    const title = SessionBuilder.shortTitle(visit.title, domain);
+    const step = (kind, text) => ({ kind, text, url: visit.url, domain });
+
+    const search = SessionBuilder.searchQuery(visit.url);
+    if (search) {
+      const text = search.engine ? `searched "${search.query}"` : `searched "${search.query}" on ${domain}`;
+      return { ...step('search', text), query: search.query };
+    }
+
+    const siteStep = SESSION_SITE_STEPS[visit.siteData?.type];
+    if (siteStep) {
+      const name = visit.siteData.type === 'github-repo' ? visit.siteData.fields?.repository || title : title;
+      return step(visit.siteData.type, `${siteStep} ${name}`);
+    }
+
+    if (SessionBuilder.isDocs(visit.url)) {
+      return step('docs', `read docs ${title}`);
+    }
+    return step('read', `read ${title}`);
+  }
+
+  // { query, engine } for a search results page, engine being false for a site's own search
+  static searchQuery(url) {
+    try {
+      const parsed = new URL(url);
+      const host = parsed.hostname.replace(/^www\./, '');
+      const engine = SESSION_SEARCH_ENGINES.test(host);
+      if (!engine && !/search/i.test(parsed.pathname)) return null;
+
+      const param = SESSION_SEARCH_PARAMS.find(name => parsed.searchParams.get(name)?.trim());
+      return param ? { query: parsed.searchParams.get(param).trim().substring(0, 60), engine } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static isDocs(url) {
+    try {
+      const parsed = new URL(url);
+      return /^(docs|developer|developers|devdocs)\./.test(parsed.hostname) ||
+        /\.readthedocs\.io$/.test(parsed.hostname) ||
+        /\/(docs|documentation|reference|api|manual|guide|guides)(\/|$)/i.test(parsed.pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Titles without the site name most sites append, cut to fit a journey line
+  static shortTitle(title, domain) {
+    const parts = String(title || '').split(/\s+[-|–—·]\s+/).filter(Boolean);
+    const text = (parts.length > 1 ? parts.slice(0, -1).join(' - ') : parts[0]) || domain;
+    return text.length > 50 ? `${text.substring(0, 47).trim()}...` : text;
+  }
+
+  // Until the AI has named the session: what was searched for, or where most time went
+  static fallbackTitle(steps, visits) {
+    const search = steps.find(step => step.kind === 'search');
+    if (search) {
+      return search.query;
+    }
+
+    const main = [...visits].sort((a, b) => (b.activeMs || 0) - (a.activeMs || 0))[0];
+    const domains = new Set(visits.map(visit => HistoryStore.extractDomain(visit.url)));
+    const title = SessionBuilder.shortTitle(main.title, HistoryStore.extractDomain(main.url));
+    return domains.size > 1 ? `${title} and ${domains.size - 1} more site${domains.size === 2 ? '' : 's'}` : title;
+  }
+
+  // Steps and page titles for the model to name the session from
+  static buildTitlePrompt(session, visits) {
+    const titles = [...new Set(visits.map(visit => visit.title).filter(Boolean))].slice(0, 15);
+    return `Give a short title (at most 6 words) for this browsing session that says what the person was doing or looking for. Reply with the title only, without quotes.
+
+Journey: ${session.journey}
+
+Page titles:
+${titles.map(title => `- ${title}`).join('\n')}
+
+Title:`;
+  }
+
+  static cleanTitle(text) {
+    return String(text || '')
+      .split('\n')[0]
+      .replace(/^(title:\s*)/i, '')
+      .replace(/^["'*]+|["'*.]+$/g, '')
+      .trim()
+      .substring(0, 80);
+  }
+}
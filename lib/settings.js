@@ -0,0 +1,246 @@
+// Settings store shared by the background worker, content script, popup and options page
+
+const DEFAULT_SETTINGS = {
+  resetHour: 6,                    // Hour of the day (0-23) when a new day starts
+  archiveRetentionDays: 7,         // Archived days to keep, 0 keeps everything
+  sessionGapMinutes: 30,           // Pause after which browsing counts as a new session
+  promptCharLimit: 8000,           // Page characters sent to the AI per request; longer pages are summarized in sections
+  summaryConcurrency: 1,           // AI summaries generated at the same time
+  summaryMaxAttempts: 3,           // Tries per page before keeping the fallback summary
+  minContentConfidence: 30,        // Extraction confidence (0-100) a page needs to get an AI summary
+  resummarizeChangePercent: 20,    // How much of a summarized page must change before it is summarized again
+  initialExtractionDelayMs: 2000,  // Wait after page load before extracting content
+  mutationDebounceMs: 3000,        // Quiet period after DOM changes before re-extracting
+  extractionBudget: 20,            // Times a page is read, across its routes, before changes stop being watched
+  trackingEnabled: true,           // Master switch for recording page visits
+  watchDynamicContent: true,       // Re-extract when single-page apps change content
+  redactSensitiveContent: true,    // Strip emails, card numbers, phones and tokens from page text
+  summarizerProvider: 'auto',      // Which AI writes summaries ('auto' picks the first one that works)
+  summarizerFailover: true,        // Try the other providers when the selected one fails
+  localModelUrl: '',               // OpenAI/Ollama-compatible API base, e.g. http://localhost:11434/v1
+  localModelName: '',              // Model to ask; empty uses the first one the server lists
+  siteRulesDefault: 'allow',       // Whether sites that match no rule are tracked ('allow') or not ('deny')
+  siteRules: [                     // Checked in order, the first matching rule decides
+    { type: 'domain', pattern: 'mail.google.com', action: 'deny' },
+    { type: 'domain', pattern: 'outlook.live.com', action: 'deny' },
+    { type: 'domain', pattern: 'outlook.office.com', action: 'deny' },
+    { type: 'domain', pattern: 'mail.yahoo.com', action: 'deny' }
+  ],
+  taxonomy: [                      // Topics pages are sorted into, with keywords for the local classifier
+    { name: 'News', keywords: ['news', 'breaking', 'politics', 'election', 'headlines', 'bbc.co.uk', 'cnn.com', 'nytimes.com', 'reuters.com', 'theguardian.com'] },
+    { name: 'Development', keywords: ['github.com', 'stackoverflow.com', 'gitlab.com', 'npmjs.com', 'developer.mozilla.org', 'api', 'javascript', 'python', 'programming', 'code', 'repository', 'documentation'] },
+    { name: 'Work', keywords: ['docs.google.com', 'notion.so', 'slack.com', 'jira', 'confluence', 'linkedin.com', 'meeting', 'project', 'calendar', 'spreadsheet'] },
+    { name: 'Learning', keywords: ['wikipedia.org', 'arxiv.org', 'coursera.org', 'khanacademy.org', 'tutorial', 'course', 'research', 'paper', 'study', 'guide', 'lecture'] },
+    { name: 'Shopping', keywords: ['amazon', 'ebay', 'etsy.com', 'aliexpress.com', 'cart', 'price', 'buy', 'shop', 'deal', 'product', 'checkout'] },
+    { name: 'Social', keywords: ['twitter.com', 'x.com', 'facebook.com', 'instagram.com', 'reddit.com', 'mastodon', 'threads.net', 'tiktok.com', 'forum', 'community'] },
+    { name: 'Entertainment', keywords: ['youtube.com', 'netflix.com', 'twitch.tv', 'spotify.com', 'video', 'movie', 'music', 'game', 'trailer', 'episode', 'podcast'] },
+    { name: 'Finance', keywords: ['finance', 'stock', 'stocks', 'crypto', 'investing', 'market', 'bank', 'budget', 'tax', 'mortgage'] },
+    { name: 'Travel', keywords: ['booking.com', 'airbnb', 'tripadvisor', 'flight', 'flights', 'hotel', 'travel', 'trip', 'maps.google.com'] },
+    { name: 'Health', keywords: ['health', 'medical', 'fitness', 'nutrition', 'symptoms', 'workout', 'recipe', 'diet'] }
+  ]
+};
+
+// Secrets live under their own storage key, which only stores created with { secrets: true } (the
+// background worker and the options page) read, so they stay out of the settings every content
+// script loads
+const SECRET_SETTINGS = {
+  localModelApiKey: ''             // Sent to the local model as a bearer token when set
+};
+
+const SETTINGS_LIMITS = {
+  resetHour: { min: 0, max: 23 },
+  archiveRetentionDays: { min: 0, max: 3650 },
+  sessionGapMinutes: { min: 5, max: 240 },
+  promptCharLimit: { min: 1000, max: 100000 },
+  summaryConcurrency: { min: 1, max: 4 },
+  summaryMaxAttempts: { min: 1, max: 10 },
+  minContentConfidence: { min: 0, max: 100 },
+  initialExtractionDelayMs: { min: 0, max: 60000 },
+  mutationDebounceMs: { min: 500, max: 60000 },
+  extractionBudget: { min: 1, max: 200 },
+  resummarizeChangePercent: { min: 1, max: 100 }
+};
+
+const SETTINGS_CHOICES = {
+  siteRulesDefault: ['allow', 'deny'],
+  summarizerProvider: ['auto', 'prompt-api', 'chrome-summarizer', 'local-http', 'extractive']
+};
+
+const SITE_RULE_TYPES = ['domain', 'wildcard', 'regex'];
+const SITE_RULE_ACTIONS = ['allow', 'deny'];
+
+class SettingsStore {
+  constructor(storageKey = 'settings', { secrets = false } = {}) {
+    this.storageKey = storageKey;
+    this.secretsKey = secrets ? `${storageKey}Secrets` : null;
+    this.values = { ...DEFAULT_SETTINGS, ...(secrets ? SECRET_SETTINGS : {}) };
+    this.listeners = [];
+    this.watchStorage();
+  }
+
+  // Coerce stored or user-entered values into the expected types and ranges
+  static normalize(values) {
+    const normalized = { ...DEFAULT_SETTINGS };
+
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      if (values?.[key] === undefined) return;
+
+      const defaultValue = DEFAULT_SETTINGS[key];
+      if (typeof defaultValue === 'boolean') {
+        normalized[key] = Boolean(values[key]);
+      } else if (typeof defaultValue === 'number') {
+        const number = Number(values[key]);
+        if (Number.isFinite(number)) {
+          const { min, max } = SETTINGS_LIMITS[key];
+          normalized[key] = Math.min(max, Math.max(min, Math.round(number)));
+        }
+      } else if (SETTINGS_CHOICES[key]) {
+        if (SETTINGS_CHOICES[key].includes(values[key])) {
+          normalized[key] = values[key];
+        }
+      } else if (key === 'siteRules') {
+        normalized[key] = SettingsStore.normalizeSiteRules(values[key]);
+      } else if (key === 'taxonomy') {
+        normalized[key] = SettingsStore.normalizeTaxonomy(values[key]);
+      } else if (typeof defaultValue === 'string') {
+        normalized[key] = String(values[key]).trim();
+      } else {
+        normalized[key] = values[key];
+      }
+    });
+
+    return normalized;
+  }
+
+  static normalizeSecrets(values) {
+    return Object.fromEntries(Object.keys(SECRET_SETTINGS).map(key => [
+      key,
+      values?.[key] === undefined ? SECRET_SETTINGS[key] : String(values[key]).trim()
+    ]));
+  }
+
+  // Drops malformed rules so a bad entry can't break tracking everywhere
+  static normalizeSiteRules(rules) {
+    if (!Array.isArray(rules)) return [];
+
+    return rules
+      .map(rule => ({
+        type: SITE_RULE_TYPES.includes(rule?.type) ? rule.type : 'domain',
+        action: SITE_RULE_ACTIONS.includes(rule?.action) ? rule.action : 'deny',
+        pattern: String(rule?.pattern ?? '').trim()
+      }))
+      .filter(rule => rule.pattern);
+  }
+
+  // Topics need a unique name; keywords may be given as a list or a comma-separated string
+  static normalizeTaxonomy(topics) {
+    if (!Array.isArray(topics)) return [];
+
+    const seen = new Set();
+    return topics
+      .map(topic => {
+        const keywords = Array.isArray(topic?.keywords) ? topic.keywords : String(topic?.keywords ?? '').split(',');
+        return {
+          name: String(topic?.name ?? '').trim().substring(0, 40),
+          keywords: [...new Set(keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))]
+        };
+      })
+      .filter(topic => {
+        const key = topic.name.toLowerCase();
+        if (!topic.name || key === 'other' || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  async load() {
+    const result = await chrome.storage.local.get([this.storageKey, ...(this.secretsKey ? [this.secretsKey] : [])]);
+    const stored = result[this.storageKey];
+    this.values = SettingsStore.normalize(stored);
+    if (!this.secretsKey) return this.values;
+
+    // Secrets saved before they had their own key are moved out of the shared settings
+    const legacy = Object.keys(SECRET_SETTINGS).filter(key => stored?.[key] !== undefined);
+    const secrets = SettingsStore.normalizeSecrets({ ...stored, ...result[this.secretsKey] });
+    if (legacy.length > 0) {
+      await chrome.storage.local.set({ [this.storageKey]: this.values, [this.secretsKey]: secrets });
+    }
+
+    this.values = { ...this.values, ...secrets };
+    return this.values;
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  getAll() {
+    return { ...this.values };
+  }
+
+  // Days run from one reset hour to the next, so browsing before the reset hour
+  // belongs to the previous day. Keys use Date.toDateString() like the stored data.
+  getDayKey(date = new Date()) {
+    const day = new Date(date);
+    if (day.getHours() < this.values.resetHour) {
+      day.setDate(day.getDate() - 1);
+    }
+    return day.toDateString();
+  }
+
+  // Secret keys in changes are only saved by stores that read secrets
+  async update(changes) {
+    const values = SettingsStore.normalize({ ...this.values, ...changes });
+    if (!this.secretsKey) {
+      await chrome.storage.local.set({ [this.storageKey]: values });
+      this.values = values;
+      return values;
+    }
+
+    const secrets = SettingsStore.normalizeSecrets({ ...this.values, ...changes });
+    await chrome.storage.local.set({ [this.storageKey]: values, [this.secretsKey]: secrets });
+    this.values = { ...values, ...secrets };
+    return this.getAll();
+  }
+
+  async reset() {
+    return await this.update({ ...DEFAULT_SETTINGS, ...SECRET_SETTINGS });
+  }
+
+  // Listeners receive the new values and the list of keys that changed
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  watchStorage() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const settingsChange = changes[this.storageKey];
+      const secretsChange = this.secretsKey ? changes[this.secretsKey] : null;
+      if (areaName !== 'local' || (!settingsChange && !secretsChange)) return;
+
+      // Compare against the old stored value so the context that made the change is notified too
+      const previous = { ...this.values };
+      if (settingsChange) {
+        Object.assign(previous, SettingsStore.normalize(settingsChange.oldValue));
+        Object.assign(this.values, SettingsStore.normalize(settingsChange.newValue));
+      }
+      if (secretsChange) {
+        Object.assign(previous, SettingsStore.normalizeSecrets(secretsChange.oldValue));
+        Object.assign(this.values, SettingsStore.normalizeSecrets(secretsChange.newValue));
+      }
+
+      // List settings are compared by value since each read produces new arrays
+      const changedKeys = Object.keys(this.values)
+        .filter(key => JSON.stringify(previous[key]) !== JSON.stringify(this.values[key]));
+      if (changedKeys.length === 0) return;
+
+      this.listeners.forEach(listener => {
+        try {
+          listener(this.getAll(), changedKeys);
+        } catch (error) {
+          console.error('Settings listener failed:', error);
+        }
+      });
+    });
+  }
+}
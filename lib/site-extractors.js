@@ -0,0 +1,154 @@
+// Registry of extractors for sites whose pages have a known structure. Each extractor lives in
+// lib/extractors/ and registers itself; pages on other sites use the generic ContentExtractor.
+
+// Longest text kept for a single field, so one long README or answer can't crowd out the rest
+const SITE_FIELD_MAX_CHARS = 4000;
+
+const SITE_FIELD_TYPES = ['string', 'number', 'array'];
+
+const SITE_EXTRACTORS = [];
+
+class SiteExtractors {
+  // extractor: {
+  //   type:    stored with the visit, e.g. 'github-repo'
+  //   label:   how the summary prompt refers to the page, e.g. 'GitHub repository'
+  //   focus:   what the summary should concentrate on
+  //   matches: RegExp tested against the host (without www.) and path, e.g. 'github.com/owner/repo'
+  //   fields:  { name: 'string' | 'number' | 'array' }, in the order they are shown to the model
+  //   extract: (document, url) => fields, or null when the page isn't one it understands
+  // }
+  static register(extractor) {
+    const invalid = Object.entries(extractor.fields).find(([, type]) => !SITE_FIELD_TYPES.includes(type));
+    if (invalid) {
+      throw new Error(`Site extractor ${extractor.type} has field ${invalid[0]} of unknown type ${invalid[1]}`);
+    }
+
+    const index = SITE_EXTRACTORS.findIndex(existing => existing.type === extractor.type);
+    SITE_EXTRACTORS.splice(index === -1 ? SITE_EXTRACTORS.length : index, 1, extractor);
+  }
+
+  static get(type) {
+    return SITE_EXTRACTORS.find(extractor => extractor.type === type) || null;
+  }
+
+  static find(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      const target = `${hostname.replace(/^www\./, '')}${pathname}`;
+      return SITE_EXTRACTORS.find(extractor => extractor.matches.test(target)) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Returns { type, fields, content, confidence } for pages a registered extractor understands,
+  // or null so the caller falls back to the generic extractor
+  static extract(doc, url) {
+    const extractor = SiteExtractors.find(url);
+    if (!extractor) return null;
+
+    let fields;
+    try {
+      fields = SiteExtractors.normalizeFields(extractor, extractor.extract(doc, url));
+    } catch (error) {
+      // Site markup changes over time; a broken extractor must not lose the page
+      console.log(`Site extractor ${extractor.type} failed:`, error);
+      return null;
+    }
+
+    const filled = Object.keys(fields).length;
+    if (filled === 0) return null;
+
+    return {
+      type: extractor.type,
+      fields,
+      content: SiteExtractors.toContent(extractor, fields),
+      // The page is known to be what the extractor expects; missing fields only make it less complete
+      confidence: ContentExtractor.round(0.5 + 0.5 * filled / Object.keys(extractor.fields).length)
+    };
+  }
+
+  // Keeps the declared fields that have a value of the declared type
+  static normalizeFields(extractor, fields) {
+    const normalized = {};
+    if (!fields || typeof fields !== 'object') return normalized;
+
+    Object.entries(extractor.fields).forEach(([name, type]) => {
+      const value = fields[name];
+      if (type === 'string' && typeof value === 'string' && value.trim()) {
+        normalized[name] = value.trim().substring(0, SITE_FIELD_MAX_CHARS);
+      } else if (type === 'number' && Number.isFinite(value)) {
+        normalized[name] = value;
+      } else if (type === 'array' && Array.isArray(value) && value.length > 0) {
+        normalized[name] = value;
+      }
+    });
+
+    return normalized;
+  }
+
+  // "acceptedAnswer" -> "Accepted answer"
+  static fieldLabel(name) {
+    const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  // The text the summarizer sees: one labelled section per field
+  static toContent(extractor, fields) {
+    const sections = [`Page type: ${extractor.label}`];
+
+    Object.keys(extractor.fields).forEach(name => {
+      const value = fields[name];
+      if (value === undefined) return;
+
+      const label = SiteExtractors.fieldLabel(name);
+      if (Array.isArray(value)) {
+        // Short values such as tags fit on one line, records such as comments get one line each
+        const isRecord = (item) => item && typeof item === 'object';
+        const items = value.map(item => isRecord(item)
+          ? Object.values(item).filter(part => part !== '' && part !== undefined).join(' · ')
+          : String(item));
+        sections.push(value.some(isRecord) || items.some(item => item.length >= 40)
+          ? `${label}:\n${items.map(item => `- ${item}`).join('\n')}`
+          : `${label}: ${items.join('; ')}`);
+      } else if (typeof value === 'string' && (value.length > 200 || value.includes('\n'))) {
+        sections.push(`${label}:\n${value}`);
+      } else {
+        sections.push(`${label}: ${value}`);
+      }
+    });
+
+    return sections.join('\n\n');
+  }
+
+  // Helpers for extractors
+
+  static text(root, selector) {
+    return ContentExtractor.normalizeText(root.querySelector(selector)?.textContent);
+  }
+
+  static texts(root, selector) {
+    return Array.from(root.querySelectorAll(selector))
+      .map(element => ContentExtractor.normalizeText(element.textContent))
+      .filter(Boolean);
+  }
+
+  static meta(doc, name) {
+    return doc.querySelector(`meta[name="${name}"], meta[property="${name}"]`)?.getAttribute('content')?.trim() || '';
+  }
+
+  // Rendered text of an element, keeping headings and lists
+  static structuredText(element) {
+    if (!element) return '';
+    return ContentExtractor.build([element.cloneNode(true)], 'site', true).content;
+  }
+
+  // "12,345", "1.2k" and "3M" as numbers; NaN when there is no number
+  static number(text) {
+    const match = String(text || '').replace(/,/g, '').match(/(-?\d+(?:\.\d+)?)\s*([kKmM])?/);
+    if (!match) return NaN;
+
+    const multiplier = { k: 1e3, m: 1e6 }[match[2]?.toLowerCase()] || 1;
+    return Math.round(Number(match[1]) * multiplier);
+  }
+}
@@ -0,0 +1,64 @@
+// User-managed rules deciding which sites are tracked, shared by every extension context
+
+class SiteRules {
+  // Returns an error message for a rule that can never match, or null if it is usable
+  static validate(rule) {
+    if (!rule.pattern) return 'Pattern is empty';
+
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        return `Invalid regular expression: ${error.message}`;
+      }
+    }
+
+    return null;
+  }
+
+  static matches(rule, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+
+    switch (rule.type) {
+      case 'domain': {
+        // A domain also covers its subdomains, e.g. bank.com matches online.bank.com
+        const domain = rule.pattern.toLowerCase().replace(/^\*?\./, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+      }
+
+      case 'wildcard': {
+        // Patterns with a path are matched against host + path, others against the host alone
+        const pattern = rule.pattern.toLowerCase().replace(/^[a-z]+:\/\//, '');
+        const target = pattern.includes('/') ? `${hostname}${parsed.pathname}` : hostname;
+        const source = pattern
+          .split('*')
+          .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('.*');
+        return new RegExp(`^${source}$`).test(target);
+      }
+
+      case 'regex':
+        try {
+          return new RegExp(rule.pattern, 'i').test(url);
+        } catch {
+          return false;
+        }
+
+      default:
+        return false;
+    }
+  }
+
+  // The first matching rule decides; URLs no rule matches get the default action
+  static isTracked(url, rules, defaultAction = 'allow') {
+    const match = rules.find(rule => SiteRules.matches(rule, url));
+    return (match ? match.action : defaultAction) === 'allow';
+  }
+}
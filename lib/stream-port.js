@@ -0,0 +1,145 @@
+// Long-lived port between the popup and the background worker for requests that report progress
+// or stream text while they run (loading a day, writing an overview or a page summary). Each
+// request is a stream with its own id that either side can end; one-shot requests still use
+// chrome.runtime.sendMessage.
+//
+// Popup -> background:  { type: 'start', id, kind, params }  |  { type: 'cancel', id }
+// Background -> popup:  { type: 'progress', id, message }     |  { type: 'text', id, text }
+//                       { type: 'done', id, result }          |  { type: 'error', id, error, cancelled }
+
+const STREAM_PORT_NAME = 'smart-history-stream';
+
+// Reasons a stream's AbortSignal is aborted with
+const STREAM_CANCELLED = 'cancelled';
+const STREAM_DISCONNECTED = 'disconnected';
+
+class StreamServer {
+  // handlers: { kind: async (params, stream) => result }, where stream is
+  // { signal, progress(message), text(fullTextSoFar) }
+  constructor(handlers) {
+    this.handlers = handlers;
+  }
+
+  // Attach synchronously when the worker starts; ready is awaited before any stream starts
+  listen(ready = Promise.resolve()) {
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name !== STREAM_PORT_NAME) return;
+      this.accept(port, ready);
+    });
+  }
+
+  accept(port, ready = Promise.resolve()) {
+    const streams = new Map(); // id -> AbortController
+    let connected = true;
+
+    const post = (message) => {
+      if (connected) port.postMessage(message);
+    };
+
+    port.onMessage.addListener(async (message) => {
+      if (message.type === 'cancel') {
+        streams.get(message.id)?.abort(STREAM_CANCELLED);
+        return;
+      }
+      if (message.type !== 'start') return;
+      await ready;
+
+      const { id, kind, params } = message;
+      const handler = this.handlers[kind];
+      if (!handler) {
+        post({ type: 'error', id, error: `Unknown stream: ${kind}` });
+        return;
+      }
+
+      const controller = new AbortController();
+      streams.set(id, controller);
+      const stream = {
+        signal: controller.signal,
+        progress: (text) => post({ type: 'progress', id, message: text }),
+        text: (text) => post({ type: 'text', id, text })
+      };
+
+      try {
+        const result = await handler(params || {}, stream);
+        post({ type: 'done', id, result });
+      } catch (error) {
+        const cancelled = controller.signal.aborted;
+        if (!cancelled) {
+          console.error(`Stream ${kind} failed:`, error);
+        }
+        post({ type: 'error', id, error: cancelled ? 'Cancelled' : String(error?.message || error), cancelled });
+      } finally {
+        streams.delete(id);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      connected = false;
+      streams.forEach(controller => controller.abort(STREAM_DISCONNECTED));
+      streams.clear();
+    });
+  }
+}
+
+class StreamClient {
+  constructor() {
+    this.port = null;
+    this.streams = new Map(); // id -> { handlers, resolve, reject }
+    this.nextId = 1;
+  }
+
+  // Connects on first use and again after the worker was restarted
+  getPort() {
+    if (this.port) return this.port;
+
+    this.port = chrome.runtime.connect({ name: STREAM_PORT_NAME });
+    this.port.onMessage.addListener((message) => this.handleMessage(message));
+    this.port.onDisconnect.addListener(() => {
+      this.port = null;
+      this.streams.forEach(stream => stream.reject(new Error('The connection to the extension was lost')));
+      this.streams.clear();
+    });
+    return this.port;
+  }
+
+  // Returns { promise, cancel }. handlers.onProgress(message) and handlers.onText(fullTextSoFar)
+  // are called while it runs; the promise resolves to the result, and rejects with
+  // error.cancelled set when the stream was cancelled.
+  start(kind, params, handlers = {}) {
+    const id = this.nextId++;
+    const promise = new Promise((resolve, reject) => {
+      this.streams.set(id, { handlers, resolve, reject });
+    });
+
+    this.getPort().postMessage({ type: 'start', id, kind, params });
+    return {
+      promise,
+      cancel: () => this.port?.postMessage({ type: 'cancel', id })
+    };
+  }
+
+  handleMessage(message) {
+    const stream = this.streams.get(message.id);
+    if (!stream) return;
+
+    switch (message.type) {
+      case 'progress':
+        stream.handlers.onProgress?.(message.message);
+        break;
+
+      case 'text':
+        stream.handlers.onText?.(message.text);
+        break;
+
+      case 'done':
+        this.streams.delete(message.id);
+        stream.resolve(message.result);
+        break;
+
+      case 'error':
+        this.streams.delete(message.id);
+        stream.reject(Object.assign(new Error(message.error), { cancelled: Boolean(message.cancelled) }));
+        break;
+    }
+  }
+}
@@ -0,0 +1,362 @@
+// Summarization backends behind one interface: Chrome's Prompt API and Summarizer API, a local
+// OpenAI/Ollama-compatible HTTP endpoint, and the extractive summary that needs no model at all
+
+const SUMMARIZER_SYSTEM_PROMPT = 'You are a helpful web content summarizer. Create concise 2-3 sentence summaries that capture the main points of web pages. Focus on key information and insights.';
+
+const LOCAL_MODEL_HEALTH_TIMEOUT_MS = 5 * 1000;
+const LOCAL_MODEL_REQUEST_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Providers implement checkHealth() and summarize(); those with the 'prompt' capability also answer
+// free-form prompts (day overviews, digests, topic classification). Both take an optional
+// onText(fullTextSoFar) to stream the answer as it is written and a signal to stop it.
+class SummarizerProvider {
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  // 'summarize' turns page text into a summary, 'prompt' answers any prompt
+  get capabilities() {
+    return ['summarize', 'prompt'];
+  }
+
+  // Whether the output is written by a model; extractive summaries are already shown as the fallback
+  get generative() {
+    return true;
+  }
+
+  // Resolves to { available, reason }
+  async checkHealth() {
+    return { available: true };
+  }
+
+  // instructions: what the summary should cover, for providers that take a prompt
+  // context: a one-line description of the page, for providers that don't
+  async summarize(content, { instructions, onText, signal }) {
+    return this.prompt(`${instructions}\n\nContent to summarize:\n${content}\n\nSummary:`, { onText, signal });
+  }
+
+  async prompt() {
+    throw new Error(`${this.label} can't answer prompts`);
+  }
+
+  // Input tokens one request may use, or null when the provider doesn't say
+  async getInputQuota() {
+    return null;
+  }
+
+  // Drops sessions and cached state, e.g. after a failure or a settings change
+  reset() {}
+
+  // Reads a streaming response into one string. Chrome's built-in APIs have sent both the text so
+  // far and only the new text in each chunk, depending on the version. The mode is decided once,
+  // from whether the second chunk extends the first, since a new piece of text can happen to
+  // start with everything before it (e.g. "*" then "**").
+  static async readStream(stream, onText) {
+    let text = '';
+    let cumulative = null;
+    for await (const chunk of stream) {
+      if (text && cumulative === null) {
+        cumulative = chunk.length > text.length && chunk.startsWith(text);
+      }
+      text = cumulative ? chunk : text + chunk;
+      onText(text);
+    }
+    return text;
+  }
+}
+
+class PromptApiProvider extends SummarizerProvider {
+  constructor(settings) {
+    super(settings);
+    this.id = 'prompt-api';
+    this.label = 'Prompt API (Gemini Nano)';
+    this.session = null; // Holds only the system prompt; every prompt runs in a clone of it
+    this.baseUsage = 0; // Tokens the system prompt takes up in a fresh session
+    this.cloning = Promise.resolve(); // Settles once clones being made from the session exist
+  }
+
+  async checkHealth() {
+    if (typeof LanguageModel === 'undefined') {
+      return { available: false, reason: 'This browser has no Prompt API' };
+    }
+
+    const availability = await LanguageModel.availability();
+    if (availability === 'unavailable') {
+      return { available: false, reason: 'This device does not meet the Gemini Nano requirements' };
+    }
+
+    // Creating the session starts the download, which can take minutes, so it isn't waited on;
+    // the next health check picks the model up once it is in place
+    if (availability === 'downloadable' || availability === 'downloading') {
+      this.getSession().catch(error => console.warn('Gemini Nano download failed:', error));
+      return { available: false, reason: 'Model is downloading' };
+    }
+
+    await this.getSession();
+    return { available: true };
+  }
+
+  // Calls made while the session is being created share it
+  getSession() {
+    if (!this.session) {
+      this.session = LanguageModel.create({
+        initialPrompts: [
+          { role: 'system', content: SUMMARIZER_SYSTEM_PROMPT }
+        ]
+      }).then((session) => {
+        this.baseUsage = session.inputUsage || 0;
+        return session;
+      });
+      this.session.catch(() => {
+        this.session = null;
+      });
+    }
+    return this.session;
+  }
+
+  async getInputQuota() {
+    const session = await this.getSession();
+    return Number.isFinite(session.inputQuota) ? session.inputQuota - this.baseUsage : null;
+  }
+
+  // Each prompt gets its own clone of the base session, so prompts running side by side don't
+  // share context and earlier pages don't build up in later prompts
+  async prompt(text, { responseConstraint, onText, signal } = {}) {
+    const base = await this.getSession();
+    const cloning = base.clone(signal ? { signal } : {});
+    this.cloning = Promise.allSettled([this.cloning, cloning]);
+    const session = await cloning;
+
+    try {
+      const options = { ...(responseConstraint ? { responseConstraint } : {}), ...(signal ? { signal } : {}) };
+      if (Number.isFinite(session.inputQuota) && session.measureInputUsage) {
+        const needed = await session.measureInputUsage(text, options);
+        if (needed > session.inputQuota - session.inputUsage) {
+          throw new Error(`Prompt needs ${needed} tokens but the model accepts ${session.inputQuota - session.inputUsage}`);
+        }
+      }
+
+      if (onText) {
+        return await SummarizerProvider.readStream(session.promptStreaming(text, options), onText);
+      }
+      return await session.prompt(text, options);
+    } finally {
+      session.destroy?.();
+    }
+  }
+
+  // Prompts already running keep their clones; the base session goes once nothing is cloning it
+  reset() {
+    const base = this.session;
+    this.session = null;
+    if (base) {
+      Promise.all([base, this.cloning])
+        .then(([session]) => session.destroy?.())
+        .catch(() => {});
+    }
+  }
+}
+
+class ChromeSummarizerProvider extends SummarizerProvider {
+  constructor(settings) {
+    super(settings);
+    this.id = 'chrome-summarizer';
+    this.label = 'Chrome Summarizer API';
+    this.summarizer = null;
+  }
+
+  get capabilities() {
+    return ['summarize'];
+  }
+
+  async checkHealth() {
+    if (typeof Summarizer === 'undefined') {
+      return { available: false, reason: 'This browser has no Summarizer API' };
+    }
+
+    const availability = await Summarizer.availability();
+    if (availability === 'unavailable') {
+      return { available: false, reason: 'This device does not meet the Summarizer API requirements' };
+    }
+
+    await this.getSummarizer();
+    return { available: true };
+  }
+
+  async getSummarizer() {
+    if (!this.summarizer) {
+      this.summarizer = await Summarizer.create({
+        type: 'key-points',
+        format: 'markdown',
+        length: 'medium',
+        sharedContext: 'Pages from the user\'s web browsing history'
+      });
+    }
+    return this.summarizer;
+  }
+
+  async getInputQuota() {
+    const summarizer = await this.getSummarizer();
+    return Number.isFinite(summarizer.inputQuota) ? summarizer.inputQuota : null;
+  }
+
+  // The Summarizer API takes no instructions, only context about the text
+  async summarize(content, { context, onText, signal }) {
+    const summarizer = await this.getSummarizer();
+    const options = { ...(context ? { context } : {}), ...(signal ? { signal } : {}) };
+
+    if (Number.isFinite(summarizer.inputQuota) && summarizer.measureInputUsage) {
+      const needed = await summarizer.measureInputUsage(content, options);
+      if (needed > summarizer.inputQuota) {
+        throw new Error(`Text needs ${needed} tokens but the summarizer accepts ${summarizer.inputQuota}`);
+      }
+    }
+
+    if (onText) {
+      return await SummarizerProvider.readStream(summarizer.summarizeStreaming(content, options), onText);
+    }
+    return await summarizer.summarize(content, options);
+  }
+
+  reset() {
+    this.summarizer?.destroy?.();
+    this.summarizer = null;
+  }
+}
+
+// Any server with the OpenAI chat completions API: Ollama (http://localhost:11434/v1), LM Studio,
+// llama.cpp server, vLLM and others
+class LocalHttpProvider extends SummarizerProvider {
+  constructor(settings) {
+    super(settings);
+    this.id = 'local-http';
+    this.label = 'Local model (OpenAI/Ollama-compatible)';
+    this.model = null;
+  }
+
+  get baseUrl() {
+    return this.settings.get('localModelUrl').replace(/\/+$/, '');
+  }
+
+  // Resolves to the fetch Response; signal cancels the request on top of the timeout
+  async request(path, options, timeoutMs, signal = null) {
+    const headers = { 'Content-Type': 'application/json' };
+    const apiKey = this.settings.get('localModelApiKey');
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers,
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+    if (!response.ok) {
+      throw new Error(`Local model request failed: HTTP ${response.status}`);
+    }
+    return response;
+  }
+
+  // Server-sent events from a streaming chat completion: "data: {json}" lines, ending with "data: [DONE]"
+  static async readEvents(response, onText) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let text = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += value;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines
+        .map(line => line.trim())
+        .filter(line => line.startsWith('data:') && line !== 'data: [DONE]')
+        .forEach(line => {
+          const delta = JSON.parse(line.slice(5)).choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onText(text);
+          }
+        });
+    }
+    return text;
+  }
+
+  // Lists the server's models; without a configured model name the first one is used
+  async checkHealth() {
+    if (!this.baseUrl) {
+      return { available: false, reason: 'No endpoint configured' };
+    }
+
+    const response = await this.request('/models', { method: 'GET' }, LOCAL_MODEL_HEALTH_TIMEOUT_MS);
+    const { data } = await response.json();
+    const models = Array.isArray(data) ? data.map(model => model.id) : [];
+    const configured = this.settings.get('localModelName');
+
+    if (configured && models.length > 0 && !models.includes(configured)) {
+      return { available: false, reason: `Model "${configured}" not found (available: ${models.slice(0, 5).join(', ')})` };
+    }
+    this.model = configured || models[0] || null;
+    if (!this.model) {
+      return { available: false, reason: 'The server lists no models; set a model name' };
+    }
+
+    return { available: true, model: this.model };
+  }
+
+  async prompt(text, { responseConstraint, onText, signal } = {}) {
+    const body = {
+      model: this.model || this.settings.get('localModelName'),
+      messages: [
+        { role: 'system', content: SUMMARIZER_SYSTEM_PROMPT },
+        { role: 'user', content: text }
+      ],
+      temperature: 0.2,
+      stream: Boolean(onText)
+    };
+    if (responseConstraint) {
+      body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: responseConstraint } };
+    }
+
+    const response = await this.request('/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    }, LOCAL_MODEL_REQUEST_TIMEOUT_MS, signal);
+
+    const content = onText
+      ? await LocalHttpProvider.readEvents(response, onText)
+      : (await response.json()).choices?.[0]?.message?.content;
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new Error('Local model returned no text');
+    }
+    return content;
+  }
+
+  reset() {
+    this.model = null;
+  }
+}
+
+// Picks sentences from the page itself; always available and used for the fallback summary
+class ExtractiveProvider extends SummarizerProvider {
+  constructor(settings) {
+    super(settings);
+    this.id = 'extractive';
+    this.label = 'Extractive (no AI)';
+  }
+
+  get capabilities() {
+    return ['summarize'];
+  }
+
+  get generative() {
+    return false;
+  }
+
+  async summarize(content) {
+    return ExtractiveSummarizer.summarize(content).summary;
+  }
+}
@@ -0,0 +1,228 @@
+// Picks a summarizer provider for each task, checks provider health and fails over to the next
+// provider when one stops working
+
+// Tried in this order in 'auto' mode, and after the selected provider when failover is on
+const SUMMARIZER_PROVIDER_ORDER = ['prompt-api', 'chrome-summarizer', 'local-http', 'extractive'];
+
+// How long a health check result is trusted before the provider is checked again
+const SUMMARIZER_HEALTH_TTL_MS = 5 * 60 * 1000;
+
+// Rough size of a token for budgeting; real text averages closer to 4 characters per token
+const SUMMARIZER_CHARS_PER_TOKEN = 3;
+
+// Room left in each request for the instructions around the page text
+const SUMMARIZER_INSTRUCTION_RESERVE_CHARS = 1500;
+
+// Very long pages are summarized from their first sections only
+const SUMMARIZER_MAX_CHUNKS = 12;
+
+// Settings that change which provider is used or how it is reached
+const SUMMARIZER_SETTINGS = ['summarizerProvider', 'summarizerFailover', 'localModelUrl', 'localModelName', 'localModelApiKey'];
+
+class SummarizerService {
+  constructor(settings) {
+    this.settings = settings;
+    this.providers = Object.fromEntries([
+      new PromptApiProvider(settings),
+      new ChromeSummarizerProvider(settings),
+      new LocalHttpProvider(settings),
+      new ExtractiveProvider(settings)
+    ].map(provider => [provider.id, provider]));
+    this.health = {}; // provider id -> { available, reason, checkedAt }
+  }
+
+  // Choosing the extractive provider turns AI summaries off, so it never fails over to a model
+  getOrder() {
+    const selected = this.settings.get('summarizerProvider');
+    if (selected === 'auto') return SUMMARIZER_PROVIDER_ORDER;
+    if (selected === 'extractive' || !this.settings.get('summarizerFailover')) return [selected];
+    return [selected, ...SUMMARIZER_PROVIDER_ORDER.filter(id => id !== selected)];
+  }
+
+  async checkHealth(id, { force = false } = {}) {
+    const cached = this.health[id];
+    if (!force && cached && Date.now() - cached.checkedAt < SUMMARIZER_HEALTH_TTL_MS) {
+      return cached;
+    }
+
+    let result;
+    try {
+      result = await this.providers[id].checkHealth();
+    } catch (error) {
+      result = { available: false, reason: error.message };
+    }
+
+    this.health[id] = { ...result, checkedAt: Date.now() };
+    return this.health[id];
+  }
+
+  // Healthy model providers that can do the task, in the order they should be tried
+  async getCandidates(capability) {
+    const candidates = [];
+    for (const id of this.getOrder()) {
+      const provider = this.providers[id];
+      if (!provider.generative || !provider.capabilities.includes(capability)) continue;
+      if ((await this.checkHealth(id)).available) {
+        candidates.push(id);
+      }
+    }
+    return candidates;
+  }
+
+  async isAvailable(capability) {
+    return (await this.getCandidates(capability)).length > 0;
+  }
+
+  // Runs the task on the first healthy provider. A provider that throws is skipped for the rest of
+  // the task and checked again before the next one; the last error is rethrown. A task stopped
+  // through its signal ends there without counting against the provider.
+  async run(capability, task, signal = null) {
+    const candidates = await this.getCandidates(capability);
+    if (candidates.length === 0) {
+      throw new Error('No AI provider available');
+    }
+
+    let lastError = null;
+    for (const id of candidates) {
+      const provider = this.providers[id];
+      try {
+        return { result: await task(provider), provider: id };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`${provider.label} failed, trying the next provider:`, error);
+        provider.reset();
+        this.health[id] = { available: false, reason: error.message, checkedAt: 0 };
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  // options: { instructions, context, onText, signal } (see SummarizerProvider.summarize).
+  // Resolves to { text, provider }
+  async summarize(content, options = {}) {
+    const { result, provider } = await this.run('summarize', (candidate) => candidate.summarize(content, options), options.signal);
+    return { text: result.trim(), provider };
+  }
+
+  // Same call shape as a Prompt API session, so callers can use either
+  async prompt(text, options = {}) {
+    const { result } = await this.run('prompt', (candidate) => candidate.prompt(text, options), options.signal);
+    return result;
+  }
+
+  // Page characters per request: the promptCharLimit setting, lowered to fit the smallest input
+  // quota among the providers the request may fail over to
+  async getChunkChars(capability = 'summarize') {
+    let chunkChars = this.settings.get('promptCharLimit');
+    for (const id of await this.getCandidates(capability)) {
+      try {
+        const quota = await this.providers[id].getInputQuota();
+        if (quota) {
+          chunkChars = Math.min(chunkChars, quota * SUMMARIZER_CHARS_PER_TOKEN - SUMMARIZER_INSTRUCTION_RESERVE_CHARS);
+        }
+      } catch (error) {
+        console.warn(`Could not read the input quota of ${this.providers[id].label}:`, error);
+      }
+    }
+    return Math.max(1000, chunkChars);
+  }
+
+  // Map-reduce summary of text that may be longer than one request: each chunk is summarized on
+  // its own, then the partial summaries are combined. progress ({ chunkChars, total, partials })
+  // is handed to onProgress after every chunk and can be passed back in to continue where an
+  // interrupted run stopped. Only the final summary is streamed to onText. Resolves to { text, provider }.
+  async summarizeInChunks(content, { instructions, context, progress = null, onProgress = async () => {}, onText, signal }) {
+    const chunkChars = progress?.chunkChars || await this.getChunkChars();
+    const chunks = ContentChunker.split(content, chunkChars).slice(0, SUMMARIZER_MAX_CHUNKS);
+
+    if (chunks.length <= 1) {
+      return this.summarize(chunks[0]?.text || content.substring(0, chunkChars), { instructions, context, onText, signal });
+    }
+
+    const partials = progress?.partials ? [...progress.partials] : [];
+    for (let i = partials.length; i < chunks.length; i++) {
+      const { text } = await this.summarize(chunks[i].text, { ...SummarizerService.chunkOptions(chunks[i], i, chunks.length, context), signal });
+      partials.push({ heading: chunks[i].heading, summary: text });
+      await onProgress({ chunkChars, total: chunks.length, partials });
+    }
+
+    // Notes from many chunks may not fit in one request either, so neighbouring notes are merged
+    // until they do
+    let notes = partials.map(partial => (partial.heading ? `Section "${partial.heading}":\n${partial.summary}` : partial.summary));
+    while (notes.join('\n\n').length > chunkChars && notes.length > 1) {
+      notes = await this.mergeNotes(notes, chunkChars, context, signal);
+    }
+
+    return this.summarize(notes.join('\n\n'), {
+      instructions: `${instructions}\n\nThe content below is notes taken from consecutive parts of one long page, in page order. Combine them into one summary of the whole page.`,
+      context,
+      onText,
+      signal
+    });
+  }
+
+  static chunkOptions(chunk, index, total, context) {
+    const part = `part ${index + 1} of ${total}${chunk.heading ? ` (section "${chunk.heading}")` : ''}`;
+    return {
+      instructions: `This text is ${part} of a longer web page. List the key points, facts and names it contains as 2-4 short bullet points. Only use information from this text.`,
+      context: `${context || ''} This is ${part} of the page.`.trim()
+    };
+  }
+
+  async mergeNotes(notes, chunkChars, context, signal) {
+    const groups = [];
+    notes.forEach(note => {
+      const last = groups[groups.length - 1];
+      if (last && last.join('\n\n').length + note.length + 2 <= chunkChars) {
+        last.push(note);
+      } else {
+        groups.push([note]);
+      }
+    });
+    // Two notes that don't fit together are still merged, so every round makes progress
+    if (groups.length === notes.length) {
+      for (let i = 0; i + 1 < groups.length; i++) {
+        groups.splice(i, 2, [...groups[i], ...groups[i + 1]]);
+      }
+    }
+
+    const merged = [];
+    for (const group of groups) {
+      const { text } = await this.summarize(group.join('\n\n').substring(0, chunkChars), {
+        instructions: 'These are notes from consecutive parts of one long web page. Merge them into one shorter set of bullet points that keeps the most important facts.',
+        context,
+        signal
+      });
+      merged.push(text);
+    }
+    return merged;
+  }
+
+  // Provider settings changed: sessions and health results may no longer apply
+  reset() {
+    Object.values(this.providers).forEach(provider => provider.reset());
+    this.health = {};
+  }
+
+  // Every provider with a fresh health check, for the options page
+  async getStatus() {
+    const order = this.getOrder();
+    const status = [];
+    for (const id of SUMMARIZER_PROVIDER_ORDER) {
+      const provider = this.providers[id];
+      const health = await this.checkHealth(id, { force: true });
+      status.push({
+        id,
+        label: provider.label,
+        capabilities: provider.capabilities,
+        available: health.available,
+        reason: health.reason || null,
+        model: health.model || null,
+        // Position in the failover order, or null when the current selection never uses it
+        rank: order.includes(id) ? order.indexOf(id) + 1 : null
+      });
+    }
+    return status;
+  }
+}
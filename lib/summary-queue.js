@@ -0,0 +1,193 @@
+// Persistent queue of page summarization jobs, stored in the history database
+
+const SUMMARY_QUEUE_ALARM = 'summaryQueue';
+const SUMMARY_RETRY_BASE_MS = 30 * 1000;      // Chrome alarms can't fire sooner than 30s
+const SUMMARY_RETRY_MAX_MS = 30 * 60 * 1000;
+
+class SummaryJobQueue {
+  // handlers.process(job) does the work and throws to request a retry.
+  // handlers.onRetry(job, error) and handlers.onFailure(job, error) report progress.
+  constructor(historyStore, settings, handlers) {
+    this.store = historyStore;
+    this.settings = settings;
+    this.handlers = handlers;
+    this.activeJobs = 0;
+    this.pumping = false;
+    this.pumpAgain = false;
+  }
+
+  static retryDelay(attempts) {
+    return Math.min(SUMMARY_RETRY_MAX_MS, SUMMARY_RETRY_BASE_MS * 2 ** (attempts - 1));
+  }
+
+  // Adds a job for a visit, replacing any job already queued for it
+  async enqueue(visitId, payload) {
+    await this.store.transaction(['jobs'], 'readwrite', async (tx) => {
+      const jobs = tx.objectStore('jobs');
+      const existing = await HistoryStore.promisify(jobs.index('visitId').getAll(visitId));
+
+      existing
+        .filter(job => job.status !== 'running')
+        .forEach(job => jobs.delete(job.id));
+
+      jobs.add({
+        visitId,
+        ...payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        createdAt: new Date().toISOString()
+      });
+    });
+
+    this.pump();
+  }
+
+  // Called when the service worker starts: jobs left 'running' were interrupted by
+  // suspension, so they go back to pending without counting as a failed attempt
+  async resume() {
+    const interrupted = await this.store.transaction(['jobs'], 'readwrite', async (tx) => {
+      const jobs = tx.objectStore('jobs');
+      const running = await HistoryStore.promisify(jobs.index('status').getAll('running'));
+
+      running.forEach(job => jobs.put({ ...job, status: 'pending', nextAttemptAt: Date.now() }));
+      return running.length;
+    });
+
+    if (interrupted > 0) {
+      console.log(`Resuming ${interrupted} interrupted summary job(s)`);
+    }
+
+    await this.pump();
+  }
+
+  async pump() {
+    // Only one pump loop at a time; calls made meanwhile make the loop run once more
+    if (this.pumping) {
+      this.pumpAgain = true;
+      return;
+    }
+    this.pumping = true;
+
+    try {
+      do {
+        this.pumpAgain = false;
+
+        while (this.activeJobs < this.settings.get('summaryConcurrency')) {
+          const job = await this.claimNextJob();
+          if (!job) break;
+
+          this.activeJobs++;
+          this.runJob(job).finally(() => {
+            this.activeJobs--;
+            this.pump();
+          });
+        }
+      } while (this.pumpAgain);
+    } catch (error) {
+      console.error('Summary queue failed to start jobs:', error);
+    } finally {
+      this.pumping = false;
+    }
+
+    await this.scheduleWakeUp();
+  }
+
+  // Marks the oldest due job as running, in the same transaction that finds it
+  async claimNextJob() {
+    return this.store.transaction(['jobs'], 'readwrite', async (tx) => {
+      const jobs = tx.objectStore('jobs');
+      const pending = await HistoryStore.promisify(jobs.index('status').getAll('pending'));
+      const now = Date.now();
+
+      const next = pending
+        .filter(job => job.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt || a.id - b.id)[0];
+
+      if (!next) return null;
+
+      const claimed = { ...next, status: 'running', startedAt: new Date().toISOString() };
+      jobs.put(claimed);
+      return claimed;
+    });
+  }
+
+  async runJob(job) {
+    try {
+      await this.handlers.process(job);
+      await this.deleteJob(job.id);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const maxAttempts = this.settings.get('summaryMaxAttempts');
+
+      if (attempts >= maxAttempts) {
+        console.warn(`Summary job for visit ${job.visitId} failed after ${attempts} attempt(s):`, error);
+        await this.deleteJob(job.id);
+        await this.handlers.onFailure(job, error);
+        return;
+      }
+
+      const delay = SummaryJobQueue.retryDelay(attempts);
+      console.log(`Summary job for visit ${job.visitId} failed, retrying in ${Math.round(delay / 1000)}s:`, error);
+
+      await this.store.transaction(['jobs'], 'readwrite', (tx) => {
+        tx.objectStore('jobs').put({
+          ...job,
+          status: 'pending',
+          attempts,
+          lastError: String(error?.message || error),
+          nextAttemptAt: Date.now() + delay
+        });
+      });
+      await this.handlers.onRetry(job, error);
+    }
+  }
+
+  // Drops jobs still waiting for a visit, e.g. after it was summarized on request
+  async cancel(visitId) {
+    await this.store.transaction(['jobs'], 'readwrite', async (tx) => {
+      const jobs = tx.objectStore('jobs');
+      const existing = await HistoryStore.promisify(jobs.index('visitId').getAll(visitId));
+      existing
+        .filter(job => job.status !== 'running')
+        .forEach(job => jobs.delete(job.id));
+    });
+    await this.scheduleWakeUp();
+  }
+
+  // Stores partial results on a running job; they are kept across retries and worker restarts
+  async saveProgress(job, progress) {
+    job.progress = progress;
+    await this.store.transaction(['jobs'], 'readwrite', async (tx) => {
+      const jobs = tx.objectStore('jobs');
+      // The job may have been cleared meanwhile, and must not come back
+      const stored = await HistoryStore.promisify(jobs.get(job.id));
+      if (stored) {
+        jobs.put({ ...stored, progress });
+      }
+    });
+  }
+
+  async deleteJob(id) {
+    await this.store.transaction(['jobs'], 'readwrite', (tx) => {
+      tx.objectStore('jobs').delete(id);
+    });
+  }
+
+  // Wakes the service worker for the next retry, even if it is suspended in the meantime
+  async scheduleWakeUp() {
+    const pending = await this.store.transaction(['jobs'], 'readonly', (tx) => {
+      return HistoryStore.promisify(tx.objectStore('jobs').index('status').getAll('pending'));
+    });
+
+    if (pending.length === 0) {
+      await chrome.alarms.clear(SUMMARY_QUEUE_ALARM);
+      return;
+    }
+
+    const nextAttemptAt = Math.min(...pending.map(job => job.nextAttemptAt));
+    chrome.alarms.create(SUMMARY_QUEUE_ALARM, {
+      when: Math.max(nextAttemptAt, Date.now() + SUMMARY_RETRY_BASE_MS)
+    });
+  }
+}
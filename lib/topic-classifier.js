@@ -0,0 +1,113 @@
+// Sorts pages into the user's topic taxonomy, with the Prompt API or a local keyword classifier
+
+const OTHER_CATEGORY = 'Other';
+
+// Where a keyword was found counts for more in some fields than others
+const CLASSIFIER_FIELD_WEIGHTS = {
+  domain: 4,
+  title: 3,
+  metadata: 2,
+  summary: 1
+};
+
+class TopicClassifier {
+  static categoryNames(taxonomy) {
+    return [...taxonomy.map(topic => topic.name), OTHER_CATEGORY];
+  }
+
+  // The text of a page the classifiers look at, by field
+  static describePage(page) {
+    const metadata = page.metadata || {};
+    return {
+      domain: page.domain || HistoryStore.extractDomain(page.url || ''),
+      title: page.title || metadata.ogTitle || '',
+      metadata: [metadata.keywords, metadata.description, metadata.ogDescription].filter(Boolean).join(' '),
+      summary: page.aiSummary || page.fallbackSummary || page.summary || ''
+    };
+  }
+
+  static keywordPattern(keyword) {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu');
+  }
+
+  // Scores each topic by weighted keyword hits; pages with no hits are 'Other'
+  static classifyLocally(page, taxonomy) {
+    const fields = TopicClassifier.describePage(page);
+    let best = { category: OTHER_CATEGORY, score: 0 };
+
+    taxonomy.forEach(topic => {
+      let score = 0;
+      topic.keywords.forEach(keyword => {
+        const pattern = TopicClassifier.keywordPattern(keyword);
+        Object.entries(fields).forEach(([field, text]) => {
+          if (text && pattern.test(text)) {
+            score += CLASSIFIER_FIELD_WEIGHTS[field];
+          }
+        });
+      });
+
+      if (score > best.score) {
+        best = { category: topic.name, score };
+      }
+    });
+
+    return best.category;
+  }
+
+  // JSON schema for the Prompt API's responseConstraint, so the answer is always a known topic
+  static responseSchema(taxonomy) {
+    return {
+      type: 'object',
+      properties: {
+        category: { type: 'string', enum: TopicClassifier.categoryNames(taxonomy) }
+      },
+      required: ['category']
+    };
+  }
+
+  static buildPrompt(page, taxonomy) {
+    const fields = TopicClassifier.describePage(page);
+    const topics = taxonomy
+      .map(topic => `- ${topic.name}${topic.keywords.length > 0 ? ` (e.g. ${topic.keywords.slice(0, 6).join(', ')})` : ''}`)
+      .join('\n');
+
+    return `Classify this web page into exactly one of these topics. Use "${OTHER_CATEGORY}" only if none fits.
+
+${topics}
+
+Site: ${fields.domain}
+Title: ${fields.title}
+${fields.metadata ? `Description: ${fields.metadata.substring(0, 500)}\n` : ''}Summary: ${fields.summary.substring(0, 1500)}`;
+  }
+
+  // Asks the language model for a topic; throws if the answer isn't one of the topics
+  static async classifyWithAI(session, page, taxonomy) {
+    const response = await session.prompt(TopicClassifier.buildPrompt(page, taxonomy), {
+      responseConstraint: TopicClassifier.responseSchema(taxonomy)
+    });
+
+    const { category } = JSON.parse(response);
+    if (!TopicClassifier.categoryNames(taxonomy).includes(category)) {
+      throw new Error(`Unexpected category: ${category}`);
+    }
+    return category;
+  }
+
+  // AI categories are kept while their topic still exists; everything else follows the current rules
+  static resolve(page, taxonomy) {
+    if (page.categorySource === 'ai' && TopicClassifier.categoryNames(taxonomy).includes(page.category)) {
+      return page.category;
+    }
+    return TopicClassifier.classifyLocally(page, taxonomy);
+  }
+
+  // Stable colour per topic name for chips and charts
+  static color(name) {
+    let hash = 0;
+    for (const char of name) {
+      hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    }
+    return name === OTHER_CATEGORY ? 'hsl(0, 0%, 55%)' : `hsl(${hash}, 55%, 50%)`;
+  }
+}
@@ -0,0 +1,321 @@
+// Options page JavaScript for Smart History extension
+
+class OptionsManager {
+    constructor() {
+        this.settings = new SettingsStore('settings', { secrets: true });
+        this.form = document.getElementById('settingsForm');
+        this.init();
+    }
+
+    async init() {
+        console.log('Options manager initialized');
+        this.populateResetHours();
+        this.setupEventListeners();
+
+        await this.settings.load();
+        this.renderSettings(this.settings.getAll());
+
+        // Keep the form in sync when settings change elsewhere (e.g. the popup)
+        this.settings.onChange((settings) => this.renderSettings(settings));
+    }
+
+    populateResetHours() {
+        const select = document.getElementById('resetHour');
+        for (let hour = 0; hour < 24; hour++) {
+            const label = new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            select.add(new Option(label, hour));
+        }
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettings();
+        });
+
+        document.getElementById('resetBtn').addEventListener('click', () => {
+            this.resetSettings();
+        });
+
+        document.getElementById('addRuleBtn').addEventListener('click', () => {
+            const row = this.createRuleRow({ type: 'domain', pattern: '', action: 'deny' });
+            this.getRuleList().querySelector('.rule-empty')?.remove();
+            this.getRuleList().appendChild(row);
+            row.querySelector('input').focus();
+        });
+
+        document.getElementById('addTopicBtn').addEventListener('click', () => {
+            const row = this.createTopicRow({ name: '', keywords: [] });
+            document.getElementById('taxonomyList').appendChild(row);
+            row.querySelector('input').focus();
+        });
+
+        document.getElementById('checkProvidersBtn').addEventListener('click', () => {
+            this.checkProviders();
+        });
+
+        this.getRuleList().addEventListener('input', () => this.updateRuleTest());
+        document.getElementById('ruleTestUrl').addEventListener('input', () => this.updateRuleTest());
+        this.form.elements.siteRulesDefault.addEventListener('change', () => this.updateRuleTest());
+    }
+
+    renderSettings(settings) {
+        Array.from(this.form.elements).forEach(element => {
+            if (!element.name || !(element.name in settings)) return;
+
+            if (element.type === 'checkbox') {
+                element.checked = settings[element.name];
+            } else if (typeof settings[element.name] === 'number') {
+                // Some settings are stored in milliseconds but edited in seconds
+                const scale = Number(element.dataset.scale || 1);
+                element.value = settings[element.name] / scale;
+            } else {
+                element.value = settings[element.name];
+            }
+        });
+
+        this.renderSiteRules(settings.siteRules);
+        this.renderTaxonomy(settings.taxonomy);
+    }
+
+    readForm() {
+        const values = {};
+
+        Array.from(this.form.elements).forEach(element => {
+            if (!element.name) return;
+
+            if (element.type === 'checkbox') {
+                values[element.name] = element.checked;
+            } else if (typeof DEFAULT_SETTINGS[element.name] === 'number') {
+                const scale = Number(element.dataset.scale || 1);
+                values[element.name] = Number(element.value) * scale;
+            } else {
+                values[element.name] = element.value;
+            }
+        });
+
+        values.siteRules = this.readSiteRules().filter(rule => rule.pattern);
+        values.taxonomy = this.readTaxonomy();
+        return values;
+    }
+
+    renderTaxonomy(taxonomy) {
+        const list = document.getElementById('taxonomyList');
+        list.innerHTML = '';
+        taxonomy.forEach(topic => list.appendChild(this.createTopicRow(topic)));
+    }
+
+    createTopicRow(topic) {
+        const row = document.createElement('div');
+        row.className = 'rule-row';
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'topic-name';
+        name.placeholder = 'Topic';
+        name.maxLength = 40;
+        name.value = topic.name;
+
+        const keywords = document.createElement('input');
+        keywords.type = 'text';
+        keywords.className = 'topic-keywords';
+        keywords.placeholder = 'Keywords, e.g. recipe, cooking, allrecipes.com';
+        keywords.value = topic.keywords.join(', ');
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'rule-remove';
+        remove.title = 'Remove topic';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => row.remove());
+
+        row.append(name, keywords, remove);
+        return row;
+    }
+
+    // Keywords are split and deduplicated by SettingsStore.normalizeTaxonomy
+    readTaxonomy() {
+        return Array.from(document.querySelectorAll('#taxonomyList .rule-row')).map(row => ({
+            name: row.querySelector('.topic-name').value,
+            keywords: row.querySelector('.topic-keywords').value
+        }));
+    }
+
+    getRuleList() {
+        return document.getElementById('siteRulesList');
+    }
+
+    renderSiteRules(rules) {
+        const list = this.getRuleList();
+        list.innerHTML = '';
+
+        if (rules.length === 0) {
+            list.innerHTML = '<div class="rule-empty">No rules yet. Every site follows the setting above.</div>';
+        }
+        rules.forEach(rule => list.appendChild(this.createRuleRow(rule)));
+
+        this.updateRuleTest();
+    }
+
+    // Rule fields have no name attribute, so readForm leaves them to readSiteRules
+    createRuleRow(rule) {
+        const row = document.createElement('div');
+        row.className = 'rule-row';
+
+        const action = document.createElement('select');
+        action.className = 'rule-action';
+        action.add(new Option("Don't track", 'deny'));
+        action.add(new Option('Track', 'allow'));
+        action.value = rule.action;
+
+        const type = document.createElement('select');
+        type.className = 'rule-type';
+        type.add(new Option('Domain', 'domain'));
+        type.add(new Option('Wildcard', 'wildcard'));
+        type.add(new Option('Regex', 'regex'));
+        type.value = rule.type;
+
+        const pattern = document.createElement('input');
+        pattern.type = 'text';
+        pattern.className = 'rule-pattern';
+        pattern.placeholder = 'e.g. mybank.com';
+        pattern.value = rule.pattern;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'rule-remove';
+        remove.title = 'Remove rule';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            row.remove();
+            this.updateRuleTest();
+        });
+
+        row.append(action, type, pattern, remove);
+        return row;
+    }
+
+    readSiteRules() {
+        return Array.from(this.getRuleList().querySelectorAll('.rule-row')).map(row => ({
+            action: row.querySelector('.rule-action').value,
+            type: row.querySelector('.rule-type').value,
+            pattern: row.querySelector('.rule-pattern').value.trim()
+        }));
+    }
+
+    // Highlights rules that can never match and returns the first problem found
+    validateSiteRules() {
+        let firstError = null;
+
+        this.getRuleList().querySelectorAll('.rule-row').forEach(row => {
+            const rule = {
+                type: row.querySelector('.rule-type').value,
+                pattern: row.querySelector('.rule-pattern').value.trim()
+            };
+            const error = rule.pattern ? SiteRules.validate(rule) : null;
+
+            row.classList.toggle('invalid', Boolean(error));
+            row.querySelector('.rule-pattern').title = error || '';
+            firstError = firstError || error;
+        });
+
+        return firstError;
+    }
+
+    // Shows whether the URL in the test box would be tracked with the rules as currently edited
+    updateRuleTest() {
+        const url = document.getElementById('ruleTestUrl').value.trim();
+        const result = document.getElementById('ruleTestResult');
+        this.validateSiteRules();
+
+        if (!url) {
+            result.textContent = '';
+            return;
+        }
+
+        const fullUrl = /^[a-z]+:\/\//i.test(url) ? url : `https://${url}`;
+        const rules = this.readSiteRules().filter(rule => rule.pattern && !SiteRules.validate(rule));
+        const tracked = SiteRules.isTracked(fullUrl, rules, this.form.elements.siteRulesDefault.value);
+        result.textContent = tracked ? '✓ Tracked' : '✕ Not tracked';
+    }
+
+    async checkProviders() {
+        const button = document.getElementById('checkProvidersBtn');
+        const list = document.getElementById('providerStatus');
+        button.disabled = true;
+        list.innerHTML = '<li class="unavailable">Checking...</li>';
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSummarizerStatus' });
+            this.renderProviderStatus(response.providers);
+        } catch (error) {
+            console.error('Error checking providers:', error);
+            list.innerHTML = '<li class="unavailable">Could not reach the extension</li>';
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    renderProviderStatus(providers) {
+        const list = document.getElementById('providerStatus');
+        list.innerHTML = '';
+
+        providers.forEach(provider => {
+            const item = document.createElement('li');
+            item.className = provider.available ? 'available' : 'unavailable';
+
+            const order = provider.rank ? `${provider.rank}. ` : '';
+            const detail = provider.available
+                ? `ready${provider.model ? ` (${provider.model})` : ''}`
+                : provider.reason || 'unavailable';
+            const unused = provider.rank ? '' : ' (not used with the current selection)';
+            item.textContent = `${provider.available ? '✓' : '✕'} ${order}${provider.label}: ${detail}${unused}`;
+            list.appendChild(item);
+        });
+    }
+
+    async saveSettings() {
+        const ruleError = this.validateSiteRules();
+        if (ruleError) {
+            this.showStatus(ruleError);
+            return;
+        }
+
+        try {
+            const saved = await this.settings.update(this.readForm());
+            this.renderSettings(saved);
+            this.showStatus('Settings saved');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.showStatus('Error saving settings');
+        }
+    }
+
+    async resetSettings() {
+        if (!confirm('Restore all settings to their defaults?')) return;
+
+        try {
+            const saved = await this.settings.reset();
+            this.renderSettings(saved);
+            this.showStatus('Defaults restored');
+        } catch (error) {
+            console.error('Error restoring settings:', error);
+            this.showStatus('Error restoring settings');
+        }
+    }
+
+    showStatus(message) {
+        const status = document.getElementById('status');
+        status.textContent = message;
+
+        clearTimeout(this.statusTimeout);
+        this.statusTimeout = setTimeout(() => {
+            status.textContent = '';
+        }, 3000);
+    }
+}
+
+// Initialize the options page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsManager();
+});
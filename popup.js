@@ -3,45 +3,34 @@
 class PopupManager {
     constructor() {
         this.currentSummary = null;
+        this.availableDates = [];
+        this.selectedDate = null; // null means today
+        this.categoryFilter = null; // Topic the pages list is narrowed to
+        this.timeWindow = null; // { date, from, to } hour slots of the timeline the pages list is narrowed to
+        this.timelineColorBy = 'topic';
+        this.settings = new SettingsStore();
+        this.historyStore = new HistoryStore();
+        this.streams = new StreamClient();
+        this.overviewStream = null; // Rewrite of a stale overview the popup is following
+        this.pageSummaryStream = null; // Summary being written for the page shown in the modal
+        this.chatStream = null; // Answer being written in the Ask view
         this.init();
     }
 
-    init() {
+    async init() {
         console.log('Popup manager initialized');
         this.setupEventListeners();
-        this.loadDailySummary();
-        
-        // Add loading message rotation
-        this.startLoadingMessages();
-    }
-
-    startLoadingMessages() {
-        const loadingMessages = [
-            "🔍 Analyzing your web journey...",
-            "📝 Summarizing your discoveries...",
-            "📊 Building your daily digest...",
-            "🧠 Processing your browsing patterns...",
-            "💡 Creating insights from your day...",
-            "✨ Preparing your personalized summary...",
-            "🚀 Almost ready with your web digest..."
-        ];
         
-        let messageIndex = 0;
-        const loadingElement = document.querySelector('#loading div:last-child');
+        await this.settings.load();
+        this.settings.onChange((settings, changedKeys) => this.handleSettingsChange(changedKeys));
+        this.updateTrackingState();
         
-        this.loadingInterval = setInterval(() => {
-            if (loadingElement) {
-                loadingElement.textContent = loadingMessages[messageIndex];
-                loadingElement.className = 'loading-message';
-                messageIndex = (messageIndex + 1) % loadingMessages.length;
-            }
-        }, 2000);
+        this.loadDailySummary();
     }
 
-    stopLoadingMessages() {
-        if (this.loadingInterval) {
-            clearInterval(this.loadingInterval);
-        }
+    // What the background is doing while the day loads
+    showProgress(message) {
+        document.querySelector('#loading .loading-message').textContent = message;
     }
 
     setupEventListeners() {
@@ -53,11 +42,53 @@ class PopupManager {
             this.clearData();
         });
 
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+        });
+
+        document.getElementById('resumeTrackingBtn').addEventListener('click', () => {
+            this.settings.update({ trackingEnabled: true });
+        });
+
+        // Date navigator: the dates list is ordered most recent first
+        document.getElementById('prevDayBtn').addEventListener('click', () => {
+            this.navigateDays(1);
+        });
+
+        document.getElementById('nextDayBtn').addEventListener('click', () => {
+            this.navigateDays(-1);
+        });
+
+        this.setupSearch();
+        this.setupExport();
+        this.setupDigest();
+        this.setupChat();
+        this.setupTimeline();
+
+        // Live summary status updates from the background queue
+        chrome.runtime.onMessage.addListener((request) => {
+            if (request.action === 'summaryStatusChanged') {
+                this.handleSummaryStatusChange(request);
+            }
+        });
+
         // Modal event listeners
         document.querySelector('.close-modal').addEventListener('click', () => {
             this.closeModal();
         });
 
+        document.getElementById('resummarizeBtn').addEventListener('click', () => {
+            this.streamPageSummary();
+        });
+
+        document.getElementById('stopSummaryBtn').addEventListener('click', () => {
+            this.pageSummaryStream?.cancel();
+        });
+
+        document.getElementById('overviewCancelBtn').addEventListener('click', () => {
+            this.overviewStream?.cancel();
+        });
+
         document.getElementById('pageModal').addEventListener('click', (e) => {
             if (e.target.id === 'pageModal') {
                 this.closeModal();
@@ -70,16 +101,26 @@ class PopupManager {
         
         try {
             // First, ensure the background script is running
+            this.showProgress('Connecting to Smart History...');
             await this.ensureBackgroundRunning();
             
-            const response = await chrome.runtime.sendMessage({
-                action: 'getDailySummary'
-            });
+            const response = await this.streams.start('loadDay', { date: this.selectedDate }, {
+                onProgress: (message) => this.showProgress(message)
+            }).promise;
 
             if (response && response.summary) {
+                this.availableDates = response.dates || [];
                 this.currentSummary = response.summary;
                 this.renderSummary(this.currentSummary);
                 this.showContent();
+
+                // The stored overview is shown right away; a newer one is written while the user reads
+                if (this.currentSummary.overviewStale) {
+                    this.streamOverview(this.currentSummary);
+                }
+                if (this.currentSummary.sessions?.some(session => session.titlePending)) {
+                    this.loadSessionTitles(this.currentSummary);
+                }
             } else {
                 throw new Error('No summary data received');
             }
@@ -91,6 +132,713 @@ class PopupManager {
         }
     }
 
+    handleSummaryStatusChange(update) {
+        if (!this.currentSummary || this.currentSummary.date !== update.date) return;
+        
+        const page = this.currentSummary.pages.find(p => p.url === update.url);
+        if (!page) return;
+        
+        page.summaryStatus = update.summaryStatus;
+        page.summaryProgress = update.summaryProgress;
+        page.summaryError = update.summaryError;
+        if (update.summary) {
+            page.summary = update.summary;
+        }
+        if (update.category) {
+            page.category = update.category;
+        }
+        
+        // Leave the list alone while search results are showing
+        if (document.getElementById('pagesCard').style.display !== 'none') {
+            this.renderSummary(this.currentSummary);
+        }
+    }
+
+    // Sessions are shown with their saved or fallback titles while the AI names the new ones
+    async loadSessionTitles(summary) {
+        try {
+            const { sessions } = await this.streams.start('sessionTitles', { date: summary.date }).promise;
+            summary.sessions = sessions;
+            if (this.currentSummary === summary) {
+                this.renderSessions(sessions);
+            }
+        } catch (error) {
+            console.error('Error naming sessions:', error);
+        }
+    }
+
+    // Follows the rewrite of a stale overview, showing the new text as it is written. Updates for a
+    // day that is no longer shown are ignored but the rewrite carries on, so it is saved for later.
+    async streamOverview(summary) {
+        const isShown = () => this.currentSummary === summary;
+        const previous = summary.summary;
+        const stream = this.streams.start('streamOverview', { date: summary.date }, {
+            onProgress: (message) => {
+                document.getElementById('overviewStale').title = message;
+            },
+            onText: (text) => {
+                summary.streamingText = text;
+                if (isShown()) document.getElementById('dailySummary').textContent = text;
+            }
+        });
+        this.overviewStream = { ...stream, summary };
+        if (isShown()) this.renderOverview(summary);
+
+        try {
+            const { overview } = await stream.promise;
+            summary.summary = overview;
+            summary.overviewStale = false;
+        } catch (error) {
+            // Stopped by the user or failed: the stored overview stays, marked as out of date
+            if (!error.cancelled) console.error('Error updating the overview:', error);
+            summary.summary = previous;
+            summary.overviewOutdated = true;
+        } finally {
+            delete summary.streamingText;
+            if (this.overviewStream?.summary === summary) this.overviewStream = null;
+            if (isShown()) this.renderOverview(summary);
+        }
+    }
+
+    handleSettingsChange(changedKeys) {
+        if (changedKeys.includes('trackingEnabled')) {
+            this.updateTrackingState();
+        }
+        
+        // A new reset hour or retention period changes which days exist
+        if (changedKeys.includes('resetHour') || changedKeys.includes('archiveRetentionDays')) {
+            this.loadDailySummary();
+        }
+    }
+
+    updateTrackingState() {
+        const isPaused = !this.settings.get('trackingEnabled');
+        document.getElementById('trackingPaused').style.display = isPaused ? 'flex' : 'none';
+    }
+
+    navigateDays(offset) {
+        const currentDate = this.currentSummary?.date || this.settings.getDayKey();
+        const index = this.availableDates.indexOf(currentDate);
+        const target = this.availableDates[index + offset];
+        
+        if (!target) return;
+        
+        this.selectedDate = target === this.settings.getDayKey() ? null : target;
+        this.loadDailySummary();
+    }
+
+    updateDateNavigator(summary) {
+        const today = this.settings.getDayKey();
+        const isToday = summary.date === today;
+        const index = this.availableDates.indexOf(summary.date);
+        
+        document.getElementById('dateLabel').textContent = isToday ? 'Today' : this.formatDayLabel(summary.date);
+        document.getElementById('dateSublabel').textContent = isToday ? this.formatDayLabel(summary.date) : 'Archived day';
+        
+        document.getElementById('prevDayBtn').disabled = index === -1 || index >= this.availableDates.length - 1;
+        document.getElementById('nextDayBtn').disabled = index <= 0;
+        
+        document.getElementById('pageCountLabel').textContent = isToday ? 'Pages Today' : 'Pages';
+        document.getElementById('overviewTitle').textContent = isToday ? "Today's Overview" : 'Daily Overview';
+        document.getElementById('pagesTitle').textContent = isToday ? "Today's Pages" : 'Pages Visited';
+    }
+
+    formatDayLabel(dateString) {
+        const date = new Date(dateString);
+        if (isNaN(date)) return dateString;
+        return date.toLocaleDateString([], { weekday: 'long', month: 'short', day: 'numeric' });
+    }
+
+    setupSearch() {
+        const runSearch = debounce(() => this.runSearch(), 250);
+        
+        document.getElementById('searchInput').addEventListener('input', runSearch);
+        document.getElementById('searchDateFrom').addEventListener('change', runSearch);
+        document.getElementById('searchDateTo').addEventListener('change', runSearch);
+        document.getElementById('searchDomain').addEventListener('change', runSearch);
+        
+        document.getElementById('searchFiltersBtn').addEventListener('click', () => {
+            const filters = document.getElementById('searchFilters');
+            const isHidden = filters.style.display === 'none';
+            filters.style.display = isHidden ? 'flex' : 'none';
+            
+            if (isHidden) {
+                this.loadSearchDomains();
+            }
+        });
+    }
+
+    async loadSearchDomains() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getSearchDomains' });
+            const select = document.getElementById('searchDomain');
+            const selected = select.value;
+            
+            select.innerHTML = '<option value="">All domains</option>' + (response?.domains || [])
+                .map(domain => `<option value="${this.escapeHtml(domain)}">${this.escapeHtml(domain)}</option>`)
+                .join('');
+            select.value = selected;
+        } catch (error) {
+            console.error('Error loading search domains:', error);
+        }
+    }
+
+    setupDigest() {
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.switchView(tab.dataset.view));
+        });
+        
+        document.getElementById('digestRange').addEventListener('change', (e) => {
+            const isCustom = e.target.value === 'custom';
+            document.getElementById('digestCustomRange').style.display = isCustom ? 'inline' : 'none';
+            
+            if (isCustom && !document.getElementById('digestDateFrom').value) {
+                // Start the custom range from the last preset so it is never empty
+                const { dateFrom, dateTo } = this.getDigestRange('7');
+                document.getElementById('digestDateFrom').value = this.toDateInputValue(dateFrom);
+                document.getElementById('digestDateTo').value = this.toDateInputValue(dateTo);
+            }
+            this.loadDigest();
+        });
+        
+        ['digestDateFrom', 'digestDateTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadDigest());
+        });
+        
+        document.getElementById('digestRefreshBtn').addEventListener('click', () => {
+            this.loadDigest({ refresh: true });
+        });
+    }
+
+    switchView(view) {
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        document.getElementById('dayView').style.display = view === 'day' ? 'block' : 'none';
+        document.getElementById('digestView').style.display = view === 'digest' ? 'block' : 'none';
+        document.getElementById('askView').style.display = view === 'ask' ? 'block' : 'none';
+        
+        if (view === 'digest') {
+            this.loadDigest();
+        } else if (view === 'ask') {
+            document.getElementById('chatInput').focus();
+        }
+    }
+
+    setupChat() {
+        document.getElementById('chatForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.askHistory();
+        });
+        
+        document.getElementById('chatStopBtn').addEventListener('click', () => {
+            this.chatStream?.cancel();
+        });
+    }
+
+    // Streams the answer into a new message; its [n] citations link to the pages listed under it
+    async askHistory() {
+        const input = document.getElementById('chatInput');
+        const question = input.value.trim();
+        if (!question || this.chatStream) return;
+        input.value = '';
+        
+        const messages = document.getElementById('chatMessages');
+        messages.querySelector('.chat-hint')?.remove();
+        messages.insertAdjacentHTML('beforeend', `<div class="chat-message chat-question">${this.escapeHtml(question)}</div>`);
+        const answer = document.createElement('div');
+        answer.className = 'chat-message chat-answer';
+        messages.appendChild(answer);
+        
+        const show = (html) => {
+            answer.innerHTML = html;
+            messages.scrollTop = messages.scrollHeight;
+        };
+        const status = (message) => `<span class="stream-status">${this.escapeHtml(message)}</span>`;
+        let written = '';
+        show(status('Searching your history...'));
+        
+        const stream = this.streams.start('askHistory', { question }, {
+            onProgress: (message) => show(status(message)),
+            onText: (text) => {
+                written = text;
+                show(this.formatChatAnswer(text));
+            }
+        });
+        this.chatStream = stream;
+        this.setChatStreaming(true);
+        
+        try {
+            const result = await stream.promise;
+            show(this.formatChatAnswer(result.answer, result.sources) + this.createChatSources(result.sources));
+        } catch (error) {
+            // A stopped answer keeps what was written so far
+            const message = error.cancelled ? 'Stopped' : error.message;
+            show(written ? `${this.formatChatAnswer(written)}\n${status(message)}` : status(message));
+        } finally {
+            this.chatStream = null;
+            this.setChatStreaming(false);
+            input.focus();
+        }
+    }
+
+    setChatStreaming(streaming) {
+        document.getElementById('chatAskBtn').style.display = streaming ? 'none' : 'inline-block';
+        document.getElementById('chatStopBtn').style.display = streaming ? 'inline-block' : 'none';
+    }
+
+    // Escapes the answer and links each [n] to the nth source
+    formatChatAnswer(text, sources = []) {
+        return this.escapeHtml(text).replace(/\[(\d+)\]/g, (citation, number) => {
+            const source = sources[Number(number) - 1];
+            return source
+                ? `<a href="${this.escapeHtml(source.url)}" target="_blank" title="${this.escapeHtml(source.domain)}">${citation}</a>`
+                : citation;
+        });
+    }
+
+    createChatSources(sources) {
+        if (sources.length === 0) return '';
+        
+        return `<ol class="chat-sources">${sources.map(source => `
+            <li>
+                <a href="${this.escapeHtml(source.url)}" target="_blank">${this.escapeHtml(source.title || source.url)}</a>
+                <span class="stream-status"> · ${this.escapeHtml(this.formatDayLabel(source.date))} · ${this.escapeHtml(source.domain)}</span>
+            </li>
+        `).join('')}</ol>`;
+    }
+
+    // Preset ranges end today; day keys are toDateString() values
+    getDigestRange(preset = document.getElementById('digestRange').value) {
+        if (preset === 'custom') {
+            return {
+                dateFrom: this.toDayKey(document.getElementById('digestDateFrom').value),
+                dateTo: this.toDayKey(document.getElementById('digestDateTo').value)
+            };
+        }
+        
+        const today = this.settings.getDayKey();
+        const from = new Date(today);
+        from.setDate(from.getDate() - (Number(preset) - 1));
+        return { dateFrom: from.toDateString(), dateTo: today };
+    }
+
+    // Only the latest range is built; picking another one cancels the digest being written
+    async loadDigest({ refresh = false } = {}) {
+        const { dateFrom, dateTo } = this.getDigestRange();
+        if (!dateFrom || !dateTo) return;
+        
+        const status = document.getElementById('digestStatus');
+        this.digestStream?.cancel();
+        status.textContent = '🧠 Building your digest from each day\'s overview...';
+        
+        const stream = this.streams.start('digest', { dateFrom, dateTo, refresh }, {
+            onProgress: (message) => {
+                if (this.digestStream === stream) status.textContent = message;
+            },
+            onText: (text) => {
+                if (this.digestStream !== stream) return;
+                document.getElementById('digestBody').style.display = 'block';
+                document.getElementById('digestOverview').textContent = text;
+            }
+        });
+        this.digestStream = stream;
+        
+        try {
+            const response = await stream.promise;
+            
+            if (!response?.digest) {
+                status.textContent = response?.error || 'Could not build a digest for this range.';
+                document.getElementById('digestBody').style.display = 'none';
+                return;
+            }
+            
+            status.textContent = '';
+            this.renderDigest(response.digest, response.cached);
+        } catch (error) {
+            // A cancelled digest was replaced by the one for the newly picked range
+            if (error.cancelled) return;
+            console.error('Error loading digest:', error);
+            status.textContent = 'Error building the digest. Please try again.';
+        } finally {
+            if (this.digestStream === stream) {
+                this.digestStream = null;
+            }
+        }
+    }
+
+    renderDigest(digest, cached) {
+        const { stats } = digest;
+        document.getElementById('digestBody').style.display = 'block';
+        document.getElementById('digestPageCount').textContent = stats.totalPages;
+        document.getElementById('digestDayCount').textContent = stats.days;
+        document.getElementById('digestActiveTime').textContent = stats.totalActiveMs > 0 ? DayAggregator.formatDuration(stats.totalActiveMs) : '–';
+        document.getElementById('digestOverview').textContent = digest.overview;
+        
+        const generated = new Date(digest.generatedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        document.getElementById('digestMeta').textContent =
+            `${digest.source === 'ai' ? 'AI digest' : 'Basic digest'} · generated ${generated}${cached ? ' (saved copy)' : ''}`;
+        
+        const empty = (text) => `<span class="digest-empty">${text}</span>`;
+        
+        document.getElementById('digestTopics').innerHTML = stats.recurringTopics.length > 0
+            ? stats.recurringTopics.map(topic => `
+                <span class="category-chip" style="background: ${TopicClassifier.color(topic.category)}; margin-left: 0;" title="${topic.pages} pages">
+                    ${this.escapeHtml(topic.category)} · ${topic.days} days
+                </span>
+            `).join('')
+            : empty('No topic came up on more than one day.');
+        
+        document.getElementById('digestDomains').innerHTML = stats.topDomains.length > 0
+            ? stats.topDomains.map(domain => `
+                <div class="digest-domain">
+                    <span>${this.escapeHtml(domain.domain)}</span>
+                    <span>${domain.visits} visits${domain.activeMs > 0 ? ` · ${DayAggregator.formatDuration(domain.activeMs)}` : ''}</span>
+                </div>
+            `).join('')
+            : empty('No sites yet.');
+        
+        document.getElementById('digestThemes').innerHTML = stats.newThemes.length > 0
+            ? stats.newThemes.map(theme => `<span class="revisit-badge" style="margin-left: 0;" title="${theme.pages} pages">${this.escapeHtml(theme.theme)}</span>`).join('')
+            : empty('Nothing new compared with the period before.');
+        
+        // Most recent day first, like the day navigator; clicking opens that day
+        const daysElement = document.getElementById('digestDays');
+        daysElement.innerHTML = [...digest.dayOverviews].reverse().map(day => `
+            <div class="page-item" data-date="${this.escapeHtml(day.date)}">
+                <div class="page-title">${this.escapeHtml(this.formatDayLabel(day.date))}</div>
+                <div class="page-summary">${this.escapeHtml(day.overview)}</div>
+            </div>
+        `).join('');
+        
+        daysElement.querySelectorAll('.page-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const date = item.dataset.date;
+                this.selectedDate = date === this.settings.getDayKey() ? null : date;
+                this.switchView('day');
+                this.loadDailySummary();
+            });
+        });
+    }
+
+    // Date inputs give YYYY-MM-DD; stored days are keyed by local toDateString()
+    toDayKey(value) {
+        return value ? new Date(`${value}T00:00:00`).toDateString() : undefined;
+    }
+
+    // The reverse of toDayKey, for filling date inputs
+    toDateInputValue(dayKey) {
+        const date = new Date(dayKey);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    getSearchFilters() {
+        return {
+            dateFrom: this.toDayKey(document.getElementById('searchDateFrom').value),
+            dateTo: this.toDayKey(document.getElementById('searchDateTo').value),
+            domain: document.getElementById('searchDomain').value || undefined
+        };
+    }
+
+    setupExport() {
+        const exportCard = document.getElementById('exportCard');
+        
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            const isHidden = exportCard.style.display === 'none';
+            exportCard.style.display = isHidden ? 'block' : 'none';
+            
+            if (isHidden) {
+                this.prepareExportForm();
+                exportCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }
+        });
+        
+        // Picking a date switches the export to the custom range
+        ['exportDateFrom', 'exportDateTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                document.querySelector('input[name="exportRange"][value="range"]').checked = true;
+            });
+        });
+        
+        document.getElementById('exportDownloadBtn').addEventListener('click', () => {
+            this.exportHistory();
+        });
+        
+        this.setupImport();
+    }
+
+    setupImport() {
+        // A preview only applies to the file and mode it was made for
+        const resetPreview = () => {
+            this.importPreview = null;
+            document.getElementById('importConfirmBtn').disabled = true;
+            document.getElementById('importReport').innerHTML = '';
+        };
+        
+        document.getElementById('importFile').addEventListener('change', resetPreview);
+        document.querySelectorAll('input[name="importMode"]').forEach(input => {
+            input.addEventListener('change', resetPreview);
+        });
+        
+        document.getElementById('importPreviewBtn').addEventListener('click', () => {
+            this.previewImport();
+        });
+        
+        document.getElementById('importConfirmBtn').addEventListener('click', () => {
+            this.confirmImport();
+        });
+    }
+
+    getImportMode() {
+        return document.querySelector('input[name="importMode"]:checked').value;
+    }
+
+    async readImportFile() {
+        const file = document.getElementById('importFile').files[0];
+        if (!file) {
+            throw new Error('Choose a backup file first.');
+        }
+        
+        try {
+            return JSON.parse(await file.text());
+        } catch {
+            throw new Error(`${file.name} is not valid JSON.`);
+        }
+    }
+
+    // Dry run: the background validates the backup and reports what importing would change
+    async previewImport() {
+        const reportElement = document.getElementById('importReport');
+        const confirmButton = document.getElementById('importConfirmBtn');
+        confirmButton.disabled = true;
+        reportElement.textContent = 'Checking backup...';
+        
+        try {
+            const data = await this.readImportFile();
+            const mode = this.getImportMode();
+            const response = await chrome.runtime.sendMessage({ action: 'importHistory', data, mode, dryRun: true });
+            
+            reportElement.innerHTML = this.renderImportReport(response);
+            if (response?.success) {
+                this.importPreview = { data, mode };
+                confirmButton.disabled = response.report.added === 0 && response.report.filled === 0 && response.report.removed === 0;
+            }
+        } catch (error) {
+            reportElement.innerHTML = this.renderImportReport({ success: false, errors: [error.message] });
+        }
+    }
+
+    async confirmImport() {
+        if (!this.importPreview) return;
+        
+        const { data, mode } = this.importPreview;
+        if (mode === 'replace' && !confirm('Replace the stored pages on the days included in this backup? This cannot be undone.')) {
+            return;
+        }
+        
+        const reportElement = document.getElementById('importReport');
+        const confirmButton = document.getElementById('importConfirmBtn');
+        confirmButton.disabled = true;
+        this.importPreview = null;
+        
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'importHistory', data, mode, dryRun: false });
+            reportElement.innerHTML = this.renderImportReport(response);
+            
+            if (response?.success) {
+                this.loadSearchDomains();
+                this.loadDailySummary();
+            }
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            reportElement.innerHTML = this.renderImportReport({ success: false, errors: ['Import failed. Please try again.'] });
+        }
+    }
+
+    renderImportReport(response) {
+        const list = (items) => `<ul>${items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}</ul>`;
+        
+        if (!response?.success) {
+            const errors = response?.errors?.length ? response.errors : ['The backup could not be read.'];
+            return `<div class="report-errors">✕ ${errors.length === 1 ? this.escapeHtml(errors[0]) : list(errors)}</div>`;
+        }
+        
+        const report = response.report;
+        const lines = [
+            `${report.visits} page visit${report.visits === 1 ? '' : 's'} across ${report.days} day${report.days === 1 ? '' : 's'} in the backup.`,
+            `${response.dryRun ? 'Will add' : 'Added'} ${report.added}, ${report.duplicates} already stored${report.filled > 0 ? ` (${report.filled} ${response.dryRun ? 'will get' : 'got'} missing details filled in)` : ''}.`
+        ];
+        if (report.mode === 'replace' && report.removed > 0) {
+            lines.push(`${response.dryRun ? 'Will replace' : 'Replaced'} ${report.removed} stored visit${report.removed === 1 ? '' : 's'} on ${report.replacedDays.length} day${report.replacedDays.length === 1 ? '' : 's'}.`);
+        }
+        if (report.skipped > 0) {
+            lines.push(`${report.skipped} invalid entr${report.skipped === 1 ? 'y is' : 'ies are'} skipped.`);
+        }
+        
+        let html = `<div>${response.dryRun ? '🔍 Preview' : '✓ Import complete'}</div>${list(lines)}`;
+        
+        if (report.conflicts.length > 0) {
+            // The stored copy always wins, so conflicts are informational
+            const conflicts = report.conflicts.slice(0, 5).map(conflict =>
+                `${conflict.title || conflict.url} (${new Date(conflict.timestamp).toLocaleString()}): ${conflict.fields.join(', ')} differ`);
+            if (report.conflicts.length > 5) {
+                conflicts.push(`…and ${report.conflicts.length - 5} more`);
+            }
+            html += `<div class="report-warnings">${report.conflicts.length} conflict${report.conflicts.length === 1 ? '' : 's'}, your stored version is kept:${list(conflicts)}</div>`;
+        }
+        
+        if (response.warnings?.length > 0) {
+            html += `<div class="report-warnings">Warnings:${list(response.warnings)}</div>`;
+        }
+        
+        return html;
+    }
+
+    // Defaults the export to the day being viewed
+    prepareExportForm() {
+        const day = this.selectedDate || this.settings.getDayKey();
+        const value = this.toDateInputValue(day);
+        
+        document.getElementById('exportDayLabel').textContent = `This day (${this.formatDayLabel(day)})`;
+        document.getElementById('exportDateFrom').value = document.getElementById('exportDateFrom').value || value;
+        document.getElementById('exportDateTo').value = document.getElementById('exportDateTo').value || value;
+        this.setExportStatus('');
+    }
+
+    setExportStatus(message, isError = false) {
+        const status = document.getElementById('exportStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    async exportHistory() {
+        const useRange = document.querySelector('input[name="exportRange"]:checked').value === 'range';
+        const day = this.selectedDate || this.settings.getDayKey();
+        const request = {
+            action: 'exportHistory',
+            format: document.getElementById('exportFormat').value,
+            dateFrom: useRange ? this.toDayKey(document.getElementById('exportDateFrom').value) : day,
+            dateTo: useRange ? this.toDayKey(document.getElementById('exportDateTo').value) : day
+        };
+        
+        const button = document.getElementById('exportDownloadBtn');
+        button.disabled = true;
+        this.setExportStatus('Preparing export...');
+        
+        try {
+            const response = await chrome.runtime.sendMessage(request);
+            if (response?.success) {
+                await this.downloadFile(response.file);
+                this.setExportStatus(`Saved ${response.file.filename} (${response.pages} pages from ${response.days} day${response.days === 1 ? '' : 's'})`);
+            } else {
+                this.setExportStatus(response?.error || 'Export failed.', true);
+            }
+        } catch (error) {
+            console.error('Error exporting history:', error);
+            this.setExportStatus('Export failed. Please try again.', true);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Saves { content, mimeType, filename } through a blob URL, which has no size cap. The URL is
+    // released once the download has finished with it.
+    async downloadFile(file) {
+        const url = URL.createObjectURL(new Blob([file.content], { type: `${file.mimeType};charset=utf-8` }));
+        try {
+            const downloadId = await chrome.downloads.download({ url, filename: file.filename, saveAs: false });
+            const release = (delta) => {
+                if (delta.id !== downloadId || !['complete', 'interrupted'].includes(delta.state?.current)) return;
+                chrome.downloads.onChanged.removeListener(release);
+                URL.revokeObjectURL(url);
+            };
+            chrome.downloads.onChanged.addListener(release);
+        } catch (error) {
+            URL.revokeObjectURL(url);
+            throw error;
+        }
+    }
+
+    async runSearch() {
+        const query = document.getElementById('searchInput').value.trim();
+        const resultsCard = document.getElementById('searchResultsCard');
+        const pagesCard = document.getElementById('pagesCard');
+        
+        if (!query) {
+            resultsCard.style.display = 'none';
+            pagesCard.style.display = 'block';
+            return;
+        }
+        
+        resultsCard.style.display = 'block';
+        pagesCard.style.display = 'none';
+        
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'searchHistory',
+                query,
+                filters: this.getSearchFilters()
+            });
+            
+            // Ignore responses for queries the user has already typed past
+            if (document.getElementById('searchInput').value.trim() !== query) return;
+            
+            this.renderSearchResults(response?.results || []);
+        } catch (error) {
+            console.error('Error searching history:', error);
+            document.getElementById('searchResults').innerHTML = '<div class="error-state">Search failed. Please try again.</div>';
+        }
+    }
+
+    renderSearchResults(results) {
+        const resultsElement = document.getElementById('searchResults');
+        document.getElementById('searchResultsTitle').textContent =
+            `Search Results (${results.length}${results.length === 50 ? '+' : ''})`;
+        
+        if (results.length === 0) {
+            resultsElement.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-icon">🔍</div>
+                    <div class="empty-text">No matching pages</div>
+                    <div class="empty-subtext">Try other words or widen the filters.</div>
+                </div>
+            `;
+            return;
+        }
+        
+        resultsElement.innerHTML = results.map(result => `
+            <div class="page-item search-result">
+                <div class="page-title">${this.highlightTerms(result.title || 'Untitled', result.matchedTerms)}</div>
+                <div class="page-url" title="${this.escapeHtml(result.url)}">${this.highlightTerms(result.url, result.matchedTerms)}</div>
+                ${result.snippet ? `<div class="page-summary">${this.highlightTerms(result.snippet, result.matchedTerms)}</div>` : ''}
+                <div class="search-meta">
+                    <span>${this.escapeHtml(this.formatDayLabel(result.date))}</span>
+                    <span>${this.escapeHtml(result.domain)}</span>
+                </div>
+            </div>
+        `).join('');
+        
+        resultsElement.querySelectorAll('.page-item').forEach((item, index) => {
+            item.addEventListener('click', () => {
+                this.showPageModal(results[index]);
+            });
+        });
+    }
+
+    highlightTerms(text, terms = []) {
+        if (terms.length === 0) return this.escapeHtml(text);
+        
+        // Matched terms are index tokens (letters and digits only), so they are safe to use in a pattern
+        const pattern = new RegExp(`(${[...terms].sort((a, b) => b.length - a.length).join('|')})`, 'giu');
+        
+        // Split before escaping so highlights never land inside HTML entities
+        return String(text)
+            .split(pattern)
+            .map((part, index) => index % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+            .join('');
+    }
+
     async ensureBackgroundRunning() {
         return new Promise((resolve) => {
             // Try to ping the background script
@@ -107,34 +855,53 @@ class PopupManager {
 
     async loadFromStorageFallback() {
         try {
-            // Try to load data directly from storage
-            const result = await chrome.storage.local.get(['webJourneyData']);
-            const data = result.webJourneyData || { visitedPages: {} };
+            // Try to load data directly from the history database
+            await this.historyStore.migrateFromChromeStorage();
+            
+            const today = this.settings.getDayKey();
+            const targetDate = this.selectedDate || today;
+            const isToday = targetDate === today;
+            const visits = await this.historyStore.getVisitsForDate(targetDate);
+            const pages = DayAggregator.aggregateVisits(visits, this.settings.get('taxonomy'));
             
-            const today = new Date().toDateString();
-            const todayPages = data.visitedPages?.[today] || {};
-            const pages = Object.values(todayPages);
+            this.availableDates = [...new Set([today, ...(await this.historyStore.getDates())])]
+                .sort((a, b) => new Date(b) - new Date(a));
             
             if (pages.length === 0) {
-                this.renderSummary({
-                    date: today,
+                this.currentSummary = {
+                    date: targetDate,
+                    isToday,
                     totalPages: 0,
-                    summary: "No pages visited today.",
+                    totalVisits: 0,
+                    summary: isToday ? "No pages visited today." : "No pages recorded for this day.",
                     pages: []
-                });
+                };
+                this.renderSummary(this.currentSummary);
                 this.showContent();
                 return;
             }
 
             // Create a basic summary from stored data
             const summary = {
-                date: today,
+                date: targetDate,
+                isToday,
                 totalPages: pages.length,
-                summary: this.generateFallbackDailyOverview(pages),
+                totalVisits: visits.length,
+                summary: DayAggregator.fallbackOverview(pages, isToday ? 'Today' : `On ${targetDate}`, this.settings.get('taxonomy')),
                 pages: pages.map(p => ({
                     title: p.title,
                     url: p.url,
                     timestamp: p.timestamp,
+                    firstSeen: p.firstSeen,
+                    visitCount: p.visitCount,
+                    visitTimes: p.visitTimes,
+                    activeMs: p.activeMs,
+                    scrollDepth: p.scrollDepth,
+                    interactions: p.interactions,
+                    category: p.category,
+                    summaryStatus: p.summaryStatus,
+                    summaryProgress: p.summaryProgress,
+                    summaryError: p.summaryError,
                     summary: p.aiSummary || p.fallbackSummary || 'No summary available'
                 }))
             };
@@ -149,51 +916,197 @@ class PopupManager {
         }
     }
 
-    generateFallbackDailyOverview(pages) {
-        const categories = {};
-        pages.forEach(page => {
-            const domain = page.url;
-            let category = 'general';
-            
-            if (domain.includes('news') || domain.includes('blog')) category = 'news';
-            else if (domain.includes('social') || domain.includes('twitter') || domain.includes('facebook')) category = 'social';
-            else if (domain.includes('shopping') || domain.includes('amazon') || domain.includes('ebay')) category = 'shopping';
-            else if (domain.includes('work') || domain.includes('linkedin') || domain.includes('github')) category = 'work';
-            
-            categories[category] = (categories[category] || 0) + 1;
-        });
-        
-        const categoryText = Object.entries(categories)
-            .map(([cat, count]) => `${count} ${cat} pages`)
-            .join(', ');
-        
-        return `Today you visited ${pages.length} pages. ${categoryText}.`;
+    renderOverview(summary) {
+        document.getElementById('dailySummary').textContent = summary.streamingText || summary.summary;
+
+        const badge = document.getElementById('overviewStale');
+        badge.style.display = summary.overviewStale ? 'inline-block' : 'none';
+        badge.textContent = summary.overviewOutdated ? '⏸ Out of date' : '✨ Updating';
+        document.getElementById('overviewCancelBtn').style.display =
+            this.overviewStream?.summary === summary ? 'inline-block' : 'none';
     }
 
     renderSummary(summary) {
+        this.updateDateNavigator(summary);
+
         // Update stats
         document.getElementById('pageCount').textContent = summary.totalPages;
         
         const aiCount = summary.pages.filter(page => page.summary && page.summary.length > 0).length;
         document.getElementById('aiCount').textContent = aiCount;
 
-        // Update daily overview
-        const dailySummaryElement = document.getElementById('dailySummary');
-        dailySummaryElement.textContent = summary.summary;
+        this.renderOverview(summary);
+
+        this.renderSessions(summary.sessions || []);
+        this.renderTimeline(summary);
 
         // Render pages list
-        this.renderPagesList(summary.pages);
+        this.renderCategoryFilters(summary.pages);
+        this.renderPagesList(this.filterByTime(this.filterByCategory(summary.pages), summary), summary.date === this.settings.getDayKey());
+    }
+
+    setupTimeline() {
+        document.getElementById('timelineColorBy').addEventListener('change', (e) => {
+            this.timelineColorBy = e.target.value;
+            this.renderTimeline(this.currentSummary);
+        });
+        
+        // Dragging one end past the other moves both
+        const from = document.getElementById('timelineFrom');
+        const to = document.getElementById('timelineTo');
+        from.addEventListener('input', () => {
+            this.setTimeWindow(Number(from.value), Math.max(Number(from.value), Number(to.value)));
+        });
+        to.addEventListener('input', () => {
+            this.setTimeWindow(Math.min(Number(from.value), Number(to.value)), Number(to.value));
+        });
+        
+        // Clicking an hour shows just that hour, clicking it again shows the whole day
+        document.getElementById('timelineChart').addEventListener('click', (e) => {
+            const bar = e.target.closest('[data-slot]');
+            if (!bar) return;
+            
+            const slot = Number(bar.dataset.slot);
+            const selection = this.getTimeWindow();
+            const isSelected = selection?.from === slot && selection.to === slot;
+            this.setTimeWindow(isSelected ? 0 : slot, isSelected ? 23 : slot);
+        });
+        
+        document.getElementById('timelineResetBtn').addEventListener('click', () => {
+            this.setTimeWindow(0, 23);
+        });
+    }
+
+    // The window only applies to the day it was chosen on
+    getTimeWindow(summary = this.currentSummary) {
+        return this.timeWindow && this.timeWindow.date === summary?.date ? this.timeWindow : null;
+    }
+
+    setTimeWindow(from, to) {
+        if (!this.currentSummary) return;
+        
+        this.timeWindow = from === 0 && to === 23 ? null : { date: this.currentSummary.date, from, to };
+        this.renderSummary(this.currentSummary);
+    }
+
+    filterByTime(pages, summary) {
+        const selection = this.getTimeWindow(summary);
+        if (!selection) return pages;
+        return pages.filter(page => ActivityTimeline.inWindow(page, selection, this.settings.get('resetHour')));
+    }
+
+    // Visits per hour of the day, which starts at the reset hour, with the time window scrubber
+    renderTimeline(summary) {
+        if (!summary) return;
+        
+        const card = document.getElementById('timelineCard');
+        card.style.display = summary.pages.length > 0 ? 'block' : 'none';
+        if (summary.pages.length === 0) return;
+        
+        const startHour = this.settings.get('resetHour');
+        const selection = this.getTimeWindow(summary);
+        const timeline = ActivityTimeline.build(summary.pages, { startHour, colorBy: this.timelineColorBy });
+        document.getElementById('timelineChart').innerHTML = ActivityTimeline.render(timeline, { startHour, selection });
+        
+        document.getElementById('timelineFrom').value = selection ? selection.from : 0;
+        document.getElementById('timelineTo').value = selection ? selection.to : 23;
+        
+        const label = document.getElementById('timelineWindowLabel');
+        if (selection) {
+            const count = this.filterByTime(summary.pages, summary).length;
+            label.textContent = `${ActivityTimeline.slotLabel(selection.from, startHour)} – ${ActivityTimeline.slotLabel(selection.to + 1, startHour)} · ${count} page${count === 1 ? '' : 's'}`;
+        } else {
+            label.textContent = 'Whole day · drag the handles or click an hour to narrow the list';
+        }
+        document.getElementById('timelineResetBtn').style.display = selection ? 'inline-block' : 'none';
+        
+        document.getElementById('timelineLegend').innerHTML = timeline.groups.map(group => `
+            <span title="${group.visits} visits"><span class="category-dot" style="background: ${group.color}"></span>${this.escapeHtml(group.name)}</span>
+        `).join('');
     }
 
-    renderPagesList(pages) {
+    // Each session as its journey; clicking a step opens that page's details
+    renderSessions(sessions) {
+        const card = document.getElementById('sessionsCard');
+        card.style.display = sessions.length > 0 ? 'block' : 'none';
+        
+        const list = document.getElementById('sessionsList');
+        const time = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        list.innerHTML = [...sessions].reverse().map(session => `
+            <div class="session-item">
+                <div class="session-title">
+                    ${this.escapeHtml(session.title)}
+                    ${session.titlePending ? '<span class="stream-status">✨ naming...</span>' : ''}
+                </div>
+                <div class="session-meta">
+                    ${time(session.start)} – ${time(session.end)} · ${session.pageCount} page${session.pageCount === 1 ? '' : 's'}${session.activeMs > 0 ? ` · ${DayAggregator.formatDuration(session.activeMs)} active` : ''}
+                </div>
+                <div class="session-journey">
+                    ${session.steps.map(step => `<span class="journey-step" data-url="${this.escapeHtml(step.url)}">${this.escapeHtml(step.text)}</span>`).join('<span class="journey-arrow">→</span>')}
+                </div>
+            </div>
+        `).join('');
+        
+        list.querySelectorAll('.journey-step').forEach(step => {
+            step.addEventListener('click', () => {
+                const page = this.currentSummary?.pages.find(candidate => candidate.url === step.dataset.url);
+                if (page) this.showPageModal(page);
+            });
+        });
+    }
+
+    // One chip per topic present on the day, with page counts; clicking one filters the list
+    renderCategoryFilters(pages) {
+        const container = document.getElementById('categoryFilters');
+        const counts = {};
+        pages.forEach(page => {
+            if (page.category) {
+                counts[page.category] = (counts[page.category] || 0) + 1;
+            }
+        });
+        
+        // Forget a filter whose topic isn't on this day
+        if (this.categoryFilter && !counts[this.categoryFilter]) {
+            this.categoryFilter = null;
+        }
+        
+        const categories = Object.entries(counts).sort(([, a], [, b]) => b - a);
+        if (categories.length < 2) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        container.innerHTML = [
+            `<button class="category-filter ${this.categoryFilter ? '' : 'active'}" data-category="">All ${pages.length}</button>`,
+            ...categories.map(([category, count]) => `
+                <button class="category-filter ${this.categoryFilter === category ? 'active' : ''}" data-category="${this.escapeHtml(category)}">
+                    <span class="category-dot" style="background: ${TopicClassifier.color(category)}"></span>${this.escapeHtml(category)} ${count}
+                </button>
+            `)
+        ].join('');
+        
+        container.querySelectorAll('.category-filter').forEach(button => {
+            button.addEventListener('click', () => {
+                this.categoryFilter = button.dataset.category || null;
+                this.renderSummary(this.currentSummary);
+            });
+        });
+    }
+
+    filterByCategory(pages) {
+        if (!this.categoryFilter) return pages;
+        return pages.filter(page => page.category === this.categoryFilter);
+    }
+
+    renderPagesList(pages, isToday = true) {
         const pagesListElement = document.getElementById('pagesList');
         
         if (pages.length === 0) {
             pagesListElement.innerHTML = `
                 <div class="empty-state">
                     <div class="empty-icon">📄</div>
-                    <div class="empty-text">No pages visited today</div>
-                    <div class="empty-subtext">Start browsing to see your web journey!</div>
+                    <div class="empty-text">${isToday ? 'No pages visited today' : 'No pages recorded for this day'}</div>
+                    <div class="empty-subtext">${isToday ? 'Start browsing to see your web journey!' : 'Use the arrows to browse other days.'}</div>
                 </div>
             `;
             return;
@@ -228,16 +1141,90 @@ class PopupManager {
         
         // Format the summary with better spacing and structure
         const formattedSummary = this.formatSummaryForDisplay(page.summary || 'No summary available for this page.');
-        modalSummary.innerHTML = formattedSummary;
+        modalSummary.innerHTML = this.createVisitLog(page) + this.createEngagementLog(page) + formattedSummary;
+
+        // Pages from today can be summarized again while they are open in a tab
+        this.modalPage = page;
+        const canResummarize = this.currentSummary?.date === this.settings.getDayKey() && this.currentSummary.pages.includes(page);
+        document.getElementById('modalActions').style.display = canResummarize ? 'flex' : 'none';
+        document.getElementById('summaryStreamStatus').textContent = '';
 
         modal.style.display = 'block';
     }
 
+    // Streams a new summary of the page in the modal into it as the model writes it
+    async streamPageSummary() {
+        const page = this.modalPage;
+        const summaryElement = document.getElementById('modalSummary');
+        const status = document.getElementById('summaryStreamStatus');
+        const header = this.createVisitLog(page) + this.createEngagementLog(page);
+        const isShown = () => this.modalPage === page && document.getElementById('pageModal').style.display === 'block';
+
+        const stream = this.streams.start('streamPageSummary', { url: page.url }, {
+            onProgress: (message) => {
+                if (isShown()) status.textContent = message;
+            },
+            onText: (text) => {
+                if (isShown()) summaryElement.innerHTML = header + this.formatSummaryForDisplay(text);
+            }
+        });
+        this.pageSummaryStream = stream;
+        this.setPageSummaryStreaming(true);
+
+        try {
+            // The pages list is updated by the summaryStatusChanged message that follows
+            const { summary } = await stream.promise;
+            page.summary = summary;
+            if (isShown()) status.textContent = '✓ Summary updated';
+        } catch (error) {
+            if (isShown()) {
+                status.textContent = error.cancelled ? 'Stopped' : error.message;
+                summaryElement.innerHTML = header + this.formatSummaryForDisplay(page.summary);
+            }
+        } finally {
+            if (this.pageSummaryStream === stream) {
+                this.pageSummaryStream = null;
+                this.setPageSummaryStreaming(false);
+            }
+        }
+    }
+
+    setPageSummaryStreaming(streaming) {
+        document.getElementById('resummarizeBtn').style.display = streaming ? 'none' : 'inline-block';
+        document.getElementById('stopSummaryBtn').style.display = streaming ? 'inline-block' : 'none';
+    }
+
+    createVisitLog(page) {
+        if (!page.visitTimes || page.visitTimes.length < 2) return '';
+        
+        const times = page.visitTimes
+            .map(timestamp => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))
+            .join(' · ');
+        
+        return `<div class="visit-log">🔁 Visited ${page.visitTimes.length} times: ${this.escapeHtml(times)}</div>`;
+    }
+
+    createEngagementLog(page) {
+        const parts = this.describeEngagement(page);
+        if (parts.length === 0) return '';
+        
+        return `<div class="visit-log">⏱ ${this.escapeHtml(parts.join(' · '))}</div>`;
+    }
+
+    // Short human-readable engagement facts; empty when nothing was measured
+    describeEngagement(page) {
+        const parts = [];
+        if (page.activeMs >= 1000) parts.push(`${DayAggregator.formatDuration(page.activeMs)} active`);
+        if (page.scrollDepth > 0) parts.push(`${Math.round(page.scrollDepth)}% scrolled`);
+        if (page.interactions > 0) parts.push(`${page.interactions} interaction${page.interactions === 1 ? '' : 's'}`);
+        return parts;
+    }
+
     formatSummaryForDisplay(summary) {
         if (!summary) return '<p style="color: #999; font-style: italic;">No summary available</p>';
         
-        // Convert markdown-style formatting to HTML
-        let formatted = summary
+        // Summaries come from pages and models, so they are escaped before the markdown is turned into HTML
+        let formatted = this.escapeHtml(summary)
             // Convert bullet points
             .replace(/^•\s+/gm, '• ')
             .replace(/^- /gm, '• ')
@@ -268,6 +1255,10 @@ class PopupManager {
     closeModal() {
         const modal = document.getElementById('pageModal');
         modal.style.display = 'none';
+
+        // Nobody is left to read the summary being written
+        this.pageSummaryStream?.cancel();
+        this.modalPage = null;
     }
 
     createPageItem(page) {
@@ -277,13 +1268,15 @@ class PopupManager {
         const isMainPage = page.isMainPage;
         const isSubPage = page.isSubPage;
         const subPagesCount = page.subPagesCount || 0;
+        const visitCount = page.visitCount || 1;
+        const engagement = this.describeEngagement(page);
         
         let badge = '';
         let journeyInfo = '';
         
         if (isMainPage && subPagesCount > 0) {
             badge = `<span class="domain-badge">🏠 Main +${subPagesCount}</span>`;
-            journeyInfo = `<div class="journey-list">Visited ${subPagesCount} additional pages on this site</div>`;
+            journeyInfo = `<div class="journey-list">Visited ${subPagesCount} additional pages on this site${page.siteVisitCount > visitCount ? ` (${page.siteVisitCount} visits in total)` : ''}</div>`;
         } else if (isMainPage) {
             badge = `<span class="domain-badge">🏠 Main</span>`;
         } else if (isSubPage) {
@@ -295,7 +1288,10 @@ class PopupManager {
                 <div class="page-title">
                     ${this.escapeHtml(page.title || 'Untitled')}
                     ${badge}
+                    ${page.category ? `<span class="category-chip" style="background: ${TopicClassifier.color(page.category)}">${this.escapeHtml(page.category)}</span>` : ''}
+                    ${visitCount > 1 ? `<span class="revisit-badge" title="Visited ${visitCount} times">🔁 ${visitCount}×</span>` : ''}
                     ${hasSummary ? '<span class="ai-badge">AI</span>' : ''}
+                    ${this.createStatusBadge(page)}
                 </div>
                 <div class="page-url" title="${this.escapeHtml(page.url)}">
                     ${this.escapeHtml(domain)}
@@ -311,11 +1307,27 @@ class PopupManager {
                         No summary available
                     </div>
                 `}
-                <div class="page-time">${time}</div>
+                ${page.keywords?.length > 0 ? `
+                    <div class="page-tags">${page.keywords.map(keyword => `<span class="page-tag">#${this.escapeHtml(keyword)}</span>`).join('')}</div>
+                ` : ''}
+                <div class="page-time">${visitCount > 1 ? `First seen ${this.formatTime(page.firstSeen)} · last ` : ''}${time}${engagement.length > 0 ? ` · ⏱ ${this.escapeHtml(engagement.join(' · '))}` : ''}</div>
             </div>
         `;
     }
 
+    createStatusBadge(page) {
+        switch (page.summaryStatus) {
+            case 'pending':
+                return '<span class="status-badge status-pending">⏳ Queued</span>';
+            case 'summarizing':
+                return `<span class="status-badge status-summarizing">✨ Summarizing${page.summaryProgress ? ` ${page.summaryProgress.done}/${page.summaryProgress.total}` : ''}</span>`;
+            case 'failed':
+                return `<span class="status-badge status-failed" title="${this.escapeHtml(page.summaryError || 'AI summary failed')}">⚠ Failed</span>`;
+            default:
+                return '';
+        }
+    }
+
     extractPath(url) {
         try {
             const urlObj = new URL(url);
@@ -353,9 +1365,7 @@ class PopupManager {
     }
 
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return HistoryExporter.escapeHtml(text);
     }
 
     async clearData() {
@@ -366,6 +1376,8 @@ class PopupManager {
                 });
                 
                 // Reload the summary to show empty state
+                this.selectedDate = null;
+                this.switchView('day');
                 this.loadDailySummary();
                 
                 // Show success message